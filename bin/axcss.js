@@ -3,21 +3,75 @@
 import { program } from 'commander';
 import { build } from '../src/commands/build.js';
 import { startDev } from '../src/commands/dev.js'; // <-- Importamos el watcher
+import { startServe } from '../src/commands/serve.js';
+import { check } from '../src/commands/check.js';
+import { formatFiles } from '../src/commands/format.js';
+import { startLanguageServer } from '../src/lsp/server.js';
 
 program
   .version('1.0.2')
   .description('AXCSS Compiler - A CSS component compiler');
 
+// Flags compartidos por build y dev: sobrescriben axcss.config.*
+const withConfigOptions = (cmd) => cmd
+  .option('-c, --config <path>', 'path to axcss.config.js / axcss.config.json')
+  .option('-m, --mode <mode>', 'config mode used to pick `env` overrides (default: development)')
+  .option('-o, --out-dir <dir>', 'output directory (default: .axcss)')
+  .option('--include <globs...>', 'globs of .axcss files to compile')
+  .option('--exclude <globs...>', 'globs to ignore')
+  .option('--proxy <style>', 'proxy style for generated .axcss.js files: link, style, constructable, ssr, data')
+  .option('--scoped', 'scoped class names: file + instance + hash (classNames.scoped)')
+  .option('--purge <globs...>', 'only generate instances used in these files (purge.content)')
+  .option('--source-map [type]', 'emit source maps: "file" (.css.map, default) or "inline"');
+
 // Comando build normal
-program
+withConfigOptions(program
   .command('build')
-  .description('Build all .axcss files')
-  .action(build);
+  .description('Build all .axcss files'))
+  .action((options) => build(options));
 
 // Comando dev / watch
-program
+withConfigOptions(program
   .command('dev')
-  .description('Watch .axcss files and rebuild on changes')
-  .action(startDev);
+  .description('Watch .axcss files and rebuild on changes'))
+  .action((options) => startDev(options));
+
+// Servidor local + watcher + live reload del CSS
+withConfigOptions(program
+  .command('serve [dir]')
+  .description('Serve a directory, rebuild on changes and live-reload CSS in the browser'))
+  .option('-p, --port <port>', 'port to listen on (default: 3000)')
+  .option('--host <host>', 'host to bind (default: localhost)')
+  .action((dir, options) => startServe(dir, options));
+
+// Sólo el analizador: para CI / revisión de PRs
+program
+  .command('check [files...]')
+  .description('Analyze .axcss files (and their imports) without building; exits 1 on errors')
+  .option('-c, --config <path>', 'path to axcss.config.js / axcss.config.json')
+  .option('-m, --mode <mode>', 'config mode used to pick `env` overrides (default: development)')
+  .option('--include <globs...>', 'globs of .axcss files to check (when no files are given)')
+  .option('--exclude <globs...>', 'globs to ignore')
+  .option('-f, --format <format>', 'output format: human, json or sarif (default: human)')
+  .option('--max-warnings <n>', 'exit 1 when there are more than <n> warnings')
+  .action((files, options) => check(files, options));
+
+// Formateador: reescribe los ficheros, o sólo comprueba con --check
+program
+  .command('format [files...]')
+  .description('Format .axcss files in place (components, params, instances, when blocks and plain CSS)')
+  .option('--check', 'do not write; list unformatted files and exit 1 if there are any')
+  .option('-c, --config <path>', 'path to axcss.config.js / axcss.config.json')
+  .option('-m, --mode <mode>', 'config mode used to pick `env` overrides (default: development)')
+  .option('--include <globs...>', 'globs of .axcss files to format (when no files are given)')
+  .option('--exclude <globs...>', 'globs to ignore')
+  .action((files, options) => formatFiles(files, options));
+
+// Language server para editores (stdio)
+program
+  .command('lsp')
+  .description('Start the AXCSS language server over stdio (diagnostics, completion, go to definition, hover)')
+  .option('--stdio', 'communicate over stdin/stdout (the default and only transport)')
+  .action(() => startLanguageServer());
 
 program.parse(process.argv);
@@ -0,0 +1,91 @@
+// liveReload.js
+// Cliente de `axcss serve` (se sirve en /__axcss/client.js y se inyecta en cada página HTML).
+// Escucha el WebSocket del servidor y:
+//   update  cambia en caliente las hojas recompiladas: <link> (con ?t=), <style data-axcss> y
+//           las CSSStyleSheet de los proxies `constructable`, sin recargar la página
+//   errors  muestra (o quita) el overlay con los errores de compilación
+//   reload  recarga la página (ficheros nuevos o borrados)
+
+const OVERLAY_ID = 'axcss-error-overlay';
+
+function connect(wasConnected = false) {
+  const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+  const socket = new WebSocket(`${protocol}://${location.host}/__axcss/ws`);
+  let opened = false;
+
+  socket.addEventListener('open', () => {
+    opened = true;
+    // El servidor se reinició mientras tanto: lo más seguro es recargar
+    if (wasConnected) location.reload();
+  });
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data);
+    if (message.type === 'update') message.styles.forEach(swapStylesheet);
+    else if (message.type === 'errors') showErrors(message.errors);
+    else if (message.type === 'reload') location.reload();
+  });
+  socket.addEventListener('close', () => {
+    setTimeout(() => connect(wasConnected || opened), 1000);
+  });
+}
+
+// Sustituye la hoja `id` (fichero .axcss) servida en `href` sin recargar
+function swapStylesheet({ id, href }) {
+  const url = new URL(href, location.href);
+  const fresh = `${url.pathname}?t=${Date.now()}`;
+
+  for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+    if (link.dataset.axcss !== id && new URL(link.href, location.href).pathname !== url.pathname) continue;
+    // El <link> nuevo se añade al lado y el viejo se quita cuando carga: sin parpadeo
+    const next = link.cloneNode();
+    next.href = fresh;
+    next.addEventListener('load', () => link.remove(), { once: true });
+    next.addEventListener('error', () => next.remove(), { once: true });
+    link.after(next);
+  }
+
+  const style = document.querySelector(`style[data-axcss="${id}"]`);
+  const sheet = globalThis.__axcssSheets?.get(id);
+  if (!style && !sheet) return;
+  fetch(fresh)
+    .then(res => res.text())
+    .then(css => {
+      if (style) style.textContent = css;
+      if (sheet) sheet.replaceSync(css);
+    });
+}
+
+function showErrors(errors) {
+  let overlay = document.getElementById(OVERLAY_ID);
+  if (!errors.length) {
+    if (overlay) overlay.remove();
+    return;
+  }
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = OVERLAY_ID;
+    overlay.title = 'Click to dismiss';
+    overlay.style.cssText = [
+      'position: fixed', 'inset: 0', 'z-index: 2147483647', 'overflow: auto', 'padding: 2rem',
+      'background: rgba(20, 20, 20, 0.92)', 'color: #f5f5f5', 'font: 14px/1.5 ui-monospace, monospace',
+      'white-space: pre-wrap', 'cursor: pointer'
+    ].join(';');
+    overlay.addEventListener('click', () => overlay.remove());
+    document.body.appendChild(overlay);
+  }
+
+  overlay.textContent = '';
+  const title = document.createElement('div');
+  title.style.cssText = 'color: #ff6b6b; font-weight: bold; margin-bottom: 1rem';
+  title.textContent = `AXCSS: ${errors.length} compile error(s)`;
+  overlay.appendChild(title);
+  for (const error of errors) {
+    const item = document.createElement('div');
+    item.style.marginBottom = '0.75rem';
+    const where = error.file ? `${error.file}${error.line ? `:${error.line}:${error.column}` : ''}\n` : '';
+    item.textContent = `${where}  ${error.message}`;
+    overlay.appendChild(item);
+  }
+}
+
+connect();
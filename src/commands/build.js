@@ -1,128 +1,277 @@
 import { glob } from 'glob';
 import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-import postcss from 'postcss';
-import autoprefixer from 'autoprefixer';
-import { processFile } from '../processors/componentProcessor.js';
+import { compileFile } from '../processors/componentProcessor.js';
+import { resolveConfig } from '../utils/config.js';
+import { proxyModule, mainModule, proxyDeclarations, mainDeclarations } from '../utils/proxy.js';
+import { createReader, cacheKey, loadCache, saveCache, hashInputs, isFresh, removeOutputs, hashContent } from '../utils/cache.js';
+import { collectUsedClasses, usedClassesHash } from '../utils/purge.js';
 import { logger, colors } from '../utils/colors.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Muestra los diagnostics de compile(): errores agrupados como antes ("Syntax errors found:") y warnings sueltos
+function reportDiagnostics(file, diagnostics) {
+  const where = (d) => {
+    const loc = `line ${d.line ?? '?'}:${d.column ?? '?'}`;
+    const other = d.file && path.resolve(d.file) !== path.resolve(file);
+    return other ? `${path.relative(process.cwd(), d.file)} ${loc}` : loc;
+  };
 
-// Process CSS with PostCSS
-async function processCSS(content) {
-  try {
-    const result = await postcss([autoprefixer()]).process(content, { from: undefined });
-    return result.css;
-  } catch (error) {
-    logger.error('Error processing CSS:', error);
-    return content;
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  if (errors.length) {
+    logger.error(`${colors.red}Syntax errors found in ${file}:${colors.reset}`);
+    for (const e of errors) console.error(`   ${colors.red}${e.message} (${where(e)})${colors.reset}`);
+  }
+  for (const w of diagnostics.filter(d => d.severity === 'warning')) {
+    logger.warning(`${w.message} (${where(w)})`);
   }
 }
 
-export async function build(options = {}) {
-  const silent = options.silent ?? false;
-  try {
-    if (!silent) logger.info('Searching for .axcss files...');
-    
-    const files = await glob('**/*.axcss', { ignore: ['node_modules/**', '.axcss/**'] });
-    if (files.length === 0) {
-      logger.info('No .axcss files found.');
-      return;
-    }
+export const MANIFEST_FILE = 'manifest.json';
+const FILENAME_HASH_LENGTH = 6;
 
-    if (!silent) logger.info(`Found ${files.length} .axcss file(s)`);
+// Entradas del build: .axcss de `include` (sin `exclude`), relativos a root y ordenados
+export async function findEntries(config) {
+  const files = await glob(config.include, { cwd: config.root, ignore: config.exclude });
+  return files.map(f => f.replace(/\\/g, '/')).sort();
+}
 
-    await fs.mkdir('.axcss', { recursive: true });
+/**
+ * Compila una entrada y escribe su .css (+ .map), su proxy .axcss.js y su .d.ts.
+ * Con `hashFilenames` el .css lleva el hash de su contenido (`button.3f9a1c.css`); el proxy
+ * conserva su nombre para que los imports de la app no cambien.
+ * Devuelve la entrada de la caché (ver utils/cache.js); con errores de compilación no escribe
+ * nada, borra las salidas anteriores (nada de estilos viejos mientras haya errores) y la entrada
+ * queda `failed`.
+ */
+async function compileEntry(config, file, reader, previous, silent, purge) {
+  const { root, outDir } = config;
+  const sourcePath = path.relative(process.cwd(), path.join(root, file)) || file;
+  const baseCssPath = path.join(outDir, file.replace(/\.axcss$/, '.css'));
+  const result = await compileFile(sourcePath, {
+    classNames: config.classNames,
+    root,
+    alias: config.alias,
+    postcss: config.postcss,
+    minify: config.minify,
+    purge,
+    map: config.sourceMap,
+    to: path.join(root, baseCssPath),
+    readFile: reader.readFile
+  });
+  if (!silent) reportDiagnostics(sourcePath, result.diagnostics);
+  if (!silent && result.purged.length) {
+    const names = result.purged.map(p => `${p.component}.${p.instance}`).join(', ');
+    logger.proxy(`Purged ${result.purged.length} unused instance(s) from ${file}: ${names}`);
+  }
 
-    const cssPaths = {}; // Para axcssMain.js
-    const importsMain = []; // Para importar todos los proxies en axcssMain.js
+  const entry = {
+    inputs: await hashInputs([path.join(root, file), ...result.dependencies], root, reader.hashFile),
+    outputs: previous?.outputs ?? [],
+    failed: result.diagnostics.some(d => d.severity === 'error'),
+    diagnostics: result.diagnostics.map(({ severity, message, file, line, column }) => ({ severity, message, file, line, column })),
+    purged: result.purged.map(({ component, instance, className }) => ({ component, instance, className }))
+  };
+  if (entry.failed) {
+    if (entry.outputs.length && !silent) logger.proxy(`Removed outputs of ${file} (it has errors)`);
+    await removeOutputs(root, entry);
+    return { ...entry, outputs: [] };
+  }
+  let content = result.css;
+  let outputCssPath = baseCssPath;
+  if (config.hashFilenames) {
+    outputCssPath = baseCssPath.replace(/\.css$/, `.${hashContent(content).slice(0, FILENAME_HASH_LENGTH)}.css`);
+    // El comentario sourceMappingURL y `file` del mapa se generaron con el nombre sin hash
+    const baseName = path.basename(baseCssPath);
+    const hashedName = path.basename(outputCssPath);
+    content = content.replace(`sourceMappingURL=${baseName}.map`, `sourceMappingURL=${hashedName}.map`);
+    if (result.map) result.map.file = hashedName;
+  }
+  const outputCssAbs = path.join(root, outputCssPath);
 
-    for (const file of files) {
-      try {
-        let content = await fs.readFile(file, 'utf8');
-        content = await processFile(file);
-        content = await processCSS(content);
-
-        // --- Guardar CSS compilado ---
-        const outputCssPath = path.join('.axcss', file.replace(/\.axcss$/, '.css'));
-        await fs.mkdir(path.dirname(outputCssPath), { recursive: true });
-        await fs.writeFile(outputCssPath, content, 'utf8');
-        if (!silent) logger.compile(`Compiled ${file} -> ${outputCssPath}`);
-
-        // Guardamos la ruta relativa
-        const varName = path.basename(file, '.axcss');
-        const cssRelativePath = `./${outputCssPath.replace(/\\/g, '/')}`;
-        cssPaths[varName] = cssRelativePath;
-
-        // --- Generar proxy .axcss.js ---
-        const proxyContent = `
-const link = document.createElement('link');
-link.rel = 'stylesheet';
-link.href = '${cssRelativePath}';
-document.head.appendChild(link);
-export default '${cssRelativePath}';
-        `.trim();
-
-        const proxyPath = outputCssPath.replace(/\.css$/, '.axcss.js');
-        await fs.writeFile(proxyPath, proxyContent, 'utf8');
-        if (!silent) logger.proxy(`Proxy JS generated: ${proxyPath}`);
-
-        importsMain.push(`import './${proxyPath.replace(/\\/g, '/')}';`);
+  // --- Guardar CSS compilado (+ .css.map si sourceMap === true) ---
+  await fs.mkdir(path.dirname(outputCssAbs), { recursive: true });
+  await fs.writeFile(outputCssAbs, content, 'utf8');
+  if (result.map) await fs.writeFile(`${outputCssAbs}.map`, JSON.stringify(result.map), 'utf8');
+  if (!silent) logger.compile(`Compiled ${file} -> ${outputCssPath}${result.map ? ' (+ .map)' : ''}`);
+
+  // --- Generar proxy .axcss.js (config.proxy: link, style, constructable, ssr, data) ---
+  // classes: instancia -> clase generada (con `classNames.scoped`, p.ej. { primary: 'button_primary_x7f3a' })
+  const proxyContent = proxyModule(config.proxy, {
+    id: file,
+    href: `./${path.basename(outputCssPath)}`,
+    css: content,
+    classes: result.classes
+  });
+
+  const proxyPath = baseCssPath.replace(/\.css$/, '.axcss.js');
+  const declarationsPath = proxyPath.replace(/\.js$/, '.d.ts');
+  await fs.writeFile(path.join(root, proxyPath), proxyContent, 'utf8');
+  // button.axcss.js -> button.axcss.d.ts (tipos de `classes` y del export default)
+  const declarations = proxyDeclarations(config.proxy, { classes: result.classes });
+  await fs.writeFile(path.join(root, declarationsPath), declarations, 'utf8');
+  if (!silent) logger.proxy(`Proxy JS generated: ${proxyPath} (+ .d.ts)`);
+
+  const outputs = [outputCssPath, ...(result.map ? [`${outputCssPath}.map`] : []), proxyPath, declarationsPath];
+  // La salida de antes que ya no se escribe (p.ej. el .map al quitar sourceMap) se borra
+  await removeOutputs(root, { outputs: entry.outputs.filter(o => !outputs.includes(o)) });
+  return {
+    ...entry,
+    outputs,
+    // Clave y ruta (relativa a root, como antes) para axcssMain.js
+    name: path.basename(file, '.axcss'),
+    cssPath: `./${path.normalize(outputCssPath).replace(/\\/g, '/')}`,
+    proxyPath: `./${path.normalize(proxyPath).replace(/\\/g, '/')}`,
+    classes: result.classes
+  };
+}
+
+/**
+ * `<outDir>/manifest.json` (con `manifest: true`): .axcss (relativo a root) -> sus salidas,
+ * relativas a outDir: { "src/button.axcss": { css: "src/button.3f9a1c.css", map?, proxy, classes } }.
+ * Sin `manifest` se borra el que hubiera de un build anterior.
+ */
+async function writeManifest(config, files, cache, fromOutDir) {
+  const manifestPath = path.resolve(config.root, config.outDir, MANIFEST_FILE);
+  if (!config.manifest) {
+    await fs.rm(manifestPath, { force: true });
+    return;
+  }
+  const manifest = {};
+  for (const file of files) {
+    const entry = cache.files[file];
+    if (!entry || entry.failed) continue;
+    const css = fromOutDir(entry.cssPath);
+    manifest[file] = {
+      css,
+      ...(entry.outputs.some(o => o.endsWith('.css.map')) ? { map: `${css}.map` } : {}),
+      proxy: fromOutDir(entry.proxyPath),
+      classes: entry.classes
+    };
+  }
+  await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+}
 
+/**
+ * Build incremental de `files` (ver findEntries) usando la caché de `<outDir>/.cache`:
+ * - una entrada se recompila si cambió ella o algo que importa (o si falta alguna salida);
+ * - las entradas que ya no están en `files` pierden sus salidas y su sitio en axcssMain.js.
+ * changed: Set de rutas absolutas modificadas (lo pasa `dev`); sin él se comprueban los hashes de todo.
+ * Devuelve { dependencies, compiled, skipped, updated, removed, failures } (`serve` los manda al navegador).
+ */
+export async function buildFiles(config, files, { silent = false, changed = null } = {}) {
+  const { root, outDir } = config;
+  const outRoot = path.resolve(root, outDir);
+  await fs.mkdir(outRoot, { recursive: true });
+
+  // purge: clases usadas por la app (las plantillas se leen en cada build; si cambian, todo se recompila)
+  const purge = config.purge.content.length
+    ? { used: await collectUsedClasses(config), safelist: config.purge.safelist }
+    : null;
+  const cache = await loadCache(outRoot, await cacheKey(config, { purgeHash: purge && usedClassesHash(purge.used) }));
+  const reader = createReader(); // cada fichero se lee una vez por build, aunque lo importen varias entradas
+
+  // --- Entradas borradas (o fuera de include): fuera sus salidas ---
+  const removed = [];
+  for (const file of Object.keys(cache.files)) {
+    if (files.includes(file)) continue;
+    await removeOutputs(root, cache.files[file]);
+    delete cache.files[file];
+    removed.push(file);
+    if (!silent) logger.proxy(`Removed outputs of ${file}`);
+  }
+
+  const dependencies = new Set(); // Ficheros importados (.axcss y tokens): `dev` también los vigila
+  const updated = []; // entradas recompiladas sin errores: { file, cssPath, added }
+  const failures = []; // entradas con errores (también las que no han cambiado): { file, diagnostics }
+  let compiled = 0;
+  let skipped = 0;
+
+  for (const file of files) {
+    const previous = cache.files[file];
+    if (await isFresh(previous, root, reader.hashFile, changed)) {
+      skipped++;
+      // Sin cambios: en un build completo se repiten sus warnings / errores
+      if (!changed && !silent) reportDiagnostics(path.relative(process.cwd(), path.join(root, file)) || file, previous.diagnostics ?? []);
+      if (previous.failed) {
+        process.exitCode = 1;
+        // caché de una versión que aún las conservaba
+        await removeOutputs(root, previous);
+        previous.outputs = [];
+      }
+    } else {
+      try {
+        const entry = cache.files[file] = await compileEntry(config, file, reader, previous, silent, purge);
+        compiled++;
+        if (entry.failed) process.exitCode = 1;
+        else updated.push({ file, cssPath: entry.cssPath, added: !previous?.cssPath });
       } catch (error) {
         // Establecer el código de salida a 1 para indicar que hubo un error
         process.exitCode = 1;
-        
+        await removeOutputs(root, previous);
+        delete cache.files[file];
+        failures.push({ file, diagnostics: [{ severity: 'error', message: error.message.split('\n')[0] }] });
+
         if (!silent) {
-          // Para errores de sintaxis, mostrar el mensaje completo
-          if (error.message.startsWith('Syntax errors found:')) {
-            // Mostrar el mensaje de error completo
-            const errorLines = error.message.split('\n');
-            logger.error(`${colors.red}${errorLines[0]}${colors.reset}`);
-            // Mostrar los detalles del error (líneas adicionales)
-            for (let i = 1; i < errorLines.length; i++) {
-              if (errorLines[i].trim()) {
-                console.error(`   ${colors.red}${errorLines[i]}${colors.reset}`);
-              }
-            }
-          } else {
-            // Para otros tipos de errores, mostrar el mensaje normal
-            logger.error(`Error processing file ${file}:`);
-            console.error(`  ${colors.red}${error.message.split('\n')[0]}${colors.reset}`);
-          }
+          logger.error(`Error processing file ${file}:`);
+          console.error(`  ${colors.red}${error.message.split('\n')[0]}${colors.reset}`);
         }
-        
+
         // Continuar con el siguiente archivo en lugar de detenerse
         continue;
       }
     }
+    const entry = cache.files[file];
+    if (entry.failed) failures.push({ file, diagnostics: entry.diagnostics.filter(d => d.severity === 'error') });
+    for (const input of Object.keys(entry.inputs)) dependencies.add(path.resolve(root, input));
+  }
 
-    // --- Generar axcssMain.js con todos los imports ---
-   // Generar imports correctos en axcssMain.js
-  let imports = '';
-  for (const varName in cssPaths) {
-    const jsPath = cssPaths[varName].replace(/\.css$/, '.axcss.js'); 
-    const relativePath = jsPath.replace(/^\.\/\.axcss\//, './'); 
-    imports += `import '${relativePath}';\n`;
+  // --- Generar axcssMain.js con todos los imports ---
+  const cssPaths = {};
+  const proxyPaths = {};
+  for (const file of files) {
+    const entry = cache.files[file];
+    if (!entry || entry.failed) continue;
+    cssPaths[entry.name] = entry.cssPath;
+    proxyPaths[entry.name] = entry.proxyPath;
   }
+  // Rutas relativas a outDir (donde viven axcssMain.js y manifest.json)
+  const fromOutDir = (p) => path.posix.relative(path.posix.normalize(outDir.replace(/\\/g, '/')), p.replace(/^\.\//, ''));
+  const proxies = Object.entries(proxyPaths).map(([key, proxyPath]) => ({ key, path: `./${fromOutDir(proxyPath)}` }));
+  const mainJsContent = mainModule(config.proxy, proxies, cssPaths);
 
-const mainJsContent = `
-/**
- * Auto-generated by AXCSS
- * Import this file to inject all CSS automatically
- */
-${imports}
-export const axcssMain = ${JSON.stringify(cssPaths, null, 2)};
-`;
+  await fs.writeFile(path.join(outRoot, 'axcssMain.js'), mainJsContent.trim(), 'utf8');
+  await fs.writeFile(path.join(outRoot, 'axcssMain.d.ts'), mainDeclarations(config.proxy, proxies, cssPaths), 'utf8');
+  await writeManifest(config, files, cache, fromOutDir);
+  await saveCache(outRoot, cache);
+  if (!silent && skipped) logger.info(`${skipped} file(s) unchanged, skipped`);
+  if (!silent && purge) {
+    const purged = files.reduce((n, file) => n + (cache.files[file]?.purged?.length ?? 0), 0);
+    logger.info(`Purge: ${purged} unused instance(s) dropped (content: ${config.purge.content.join(', ')})`);
+  }
+  if (!silent) logger.success('axcssMain.js generated with automatic import of all .axcss.js files!');
+  return { dependencies: [...dependencies], compiled, skipped, updated, removed, failures };
+}
+
+export async function build(options = {}) {
+  const silent = options.silent ?? false;
+  try {
+    // Config: defaults < axcss.config.* < env[mode] < flags de la CLI
+    const config = await resolveConfig(options);
+    if (!silent && config.configFile) logger.info(`Using config ${path.relative(process.cwd(), config.configFile) || config.configFile} (mode: ${config.mode})`);
 
+    if (!silent) logger.info('Searching for .axcss files...');
 
+    const files = await findEntries(config);
+    if (files.length === 0) {
+      logger.info('No .axcss files found.');
+      return;
+    }
+
+    if (!silent) logger.info(`Found ${files.length} .axcss file(s)`);
 
-    await fs.writeFile('.axcss/axcssMain.js', mainJsContent.trim(), 'utf8');
-    if (!silent) logger.success('axcssMain.js generated with automatic import of all .axcss.js files!');
+    const result = await buildFiles(config, files, { silent });
     if (!silent) logger.success('Build completed!');
+    return result;
   } catch (error) {
     if (!silent) logger.error(`Build failed: ${error.message}`);
     process.exit(1);
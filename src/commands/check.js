@@ -0,0 +1,139 @@
+import { glob } from 'glob';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { compileFile } from '../processors/componentProcessor.js';
+import { resolveConfig } from '../utils/config.js';
+import { createReader } from '../utils/cache.js';
+import { findEntries } from './build.js';
+import { logger, colors } from '../utils/colors.js';
+
+export const CHECK_FORMATS = ['human', 'json', 'sarif'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+// Los diagnostics no tienen código propio: una regla por severidad
+const SARIF_RULES = [
+  { id: 'axcss/error', shortDescription: { text: 'AXCSS error (the file does not compile)' }, defaultConfiguration: { level: 'error' } },
+  { id: 'axcss/warning', shortDescription: { text: 'AXCSS warning' }, defaultConfiguration: { level: 'warning' } }
+];
+
+const toPosix = (p) => p.replace(/\\/g, '/');
+
+// Ficheros de check / format: los de la línea de comandos (rutas o globs, relativos a cwd) o los de `include`
+export async function filesFromArgs(patterns, config) {
+  if (!patterns.length) return (await findEntries(config)).map(f => path.join(config.root, f));
+  const files = new Set();
+  for (const pattern of patterns) {
+    const matches = await glob(toPosix(pattern), { absolute: true, nodir: true });
+    if (!matches.length) throw new Error(`No files match "${pattern}".`);
+    for (const m of matches) files.add(path.resolve(m));
+  }
+  return [...files].sort();
+}
+
+// ----------------- Formatos de salida -----------------
+
+function formatHuman(results, counts) {
+  const lines = [];
+  for (const { file, diagnostics } of results) {
+    if (!diagnostics.length) continue;
+    lines.push('', `${colors.underscore}${file}${colors.reset}`);
+    for (const d of diagnostics) {
+      const color = d.severity === 'error' ? colors.red : colors.yellow;
+      const where = `${d.line ?? '?'}:${d.column ?? '?'}`.padEnd(8);
+      const other = d.file && d.file !== file ? ` (${d.file})` : '';
+      lines.push(`  ${colors.dim}${where}${colors.reset}${color}${d.severity.padEnd(9)}${colors.reset}${d.message}${other}`);
+      if (d.suggestion) lines.push(`  ${' '.repeat(17)}${colors.dim}${d.suggestion}${colors.reset}`);
+    }
+  }
+  const summary = `${counts.errors} error(s), ${counts.warnings} warning(s) in ${results.length} file(s)`;
+  lines.push('', counts.errors ? `${colors.red}✗ ${summary}${colors.reset}` : `${colors.green}✓ ${summary}${colors.reset}`);
+  return lines.join('\n').replace(/^\n/, '');
+}
+
+function formatJson(results, counts) {
+  return JSON.stringify({ errorCount: counts.errors, warningCount: counts.warnings, files: results }, null, 2);
+}
+
+// SARIF 2.1.0 (GitHub code scanning, anotaciones de revisión): rutas relativas a cwd
+function formatSarif(results, version) {
+  const sarifResults = [];
+  for (const { file, diagnostics } of results) {
+    for (const d of diagnostics) {
+      const region = d.line ? { startLine: d.line, ...(d.column ? { startColumn: d.column } : {}) } : undefined;
+      sarifResults.push({
+        ruleId: `axcss/${d.severity}`,
+        level: d.severity === 'error' ? 'error' : 'warning',
+        message: { text: d.suggestion ? `${d.message} ${d.suggestion}` : d.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: d.file ?? file, uriBaseId: '%SRCROOT%' },
+            ...(region ? { region } : {})
+          }
+        }]
+      });
+    }
+  }
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'axcss', version, informationUri: 'https://www.npmjs.com/package/axcss', rules: SARIF_RULES } },
+      originalUriBaseIds: { '%SRCROOT%': { uri: pathToFileURL(`${process.cwd()}${path.sep}`).href } },
+      results: sarifResults
+    }]
+  }, null, 2);
+}
+
+/**
+ * `axcss check [files...]`: sólo el analizador (parser + @import + comprobaciones), sin escribir nada.
+ * options: format ('human' | 'json' | 'sarif'), maxWarnings (número; por defecto sin límite).
+ * Código de salida 1 si hay errores o más warnings que --max-warnings.
+ */
+export async function check(patterns = [], options = {}) {
+  const format = options.format ?? 'human';
+  const maxWarnings = options.maxWarnings === undefined ? -1 : Number(options.maxWarnings);
+  try {
+    if (!CHECK_FORMATS.includes(format)) throw new Error(`Unknown format "${format}". Expected one of: ${CHECK_FORMATS.join(', ')}.`);
+    if (!Number.isInteger(maxWarnings)) throw new Error('--max-warnings must be a whole number.');
+    const config = await resolveConfig(options);
+    const files = await filesFromArgs(patterns, config);
+
+    const reader = createReader(); // un import compartido se lee una sola vez
+    const results = [];
+    const counts = { errors: 0, warnings: 0 };
+    for (const file of files) {
+      const relative = (p) => toPosix(path.relative(process.cwd(), p));
+      const { diagnostics } = await compileFile(file, { analyzeOnly: true, classNames: config.classNames, root: config.root, alias: config.alias, readFile: reader.readFile });
+      const list = diagnostics.map(({ severity, message, file: at, line, column, suggestion }) => ({
+        severity,
+        message,
+        ...(at && path.resolve(at) !== file ? { file: relative(at) } : {}),
+        line,
+        column,
+        ...(suggestion ? { suggestion } : {})
+      }));
+      list.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+      for (const d of list) counts[d.severity === 'error' ? 'errors' : 'warnings']++;
+      results.push({ file: relative(file), diagnostics: list });
+    }
+
+    if (format === 'json') {
+      console.log(formatJson(results, counts));
+    } else if (format === 'sarif') {
+      const pkg = JSON.parse(await fs.readFile(new URL('../../package.json', import.meta.url), 'utf8'));
+      console.log(formatSarif(results, pkg.version));
+    } else {
+      console.log(formatHuman(results, counts));
+      if (maxWarnings >= 0 && counts.warnings > maxWarnings) {
+        logger.error(`Too many warnings (${counts.warnings}, maximum allowed: ${maxWarnings}).`);
+      }
+    }
+
+    if (counts.errors || (maxWarnings >= 0 && counts.warnings > maxWarnings)) process.exitCode = 1;
+    return { results, ...counts };
+  } catch (error) {
+    logger.error(`Check failed: ${error.message}`);
+    process.exit(2);
+  }
+}
@@ -1,27 +1,79 @@
+import path from 'path';
 import { watch } from 'chokidar';
-import { build } from './build.js';
+import { buildFiles, findEntries } from './build.js';
+import { resolveConfig } from '../utils/config.js';
 import { logger } from '../utils/colors.js';
 let timeout;
 
-export async function startDev() {
+/**
+ * Vigila los .axcss (y lo que importan) y recompila lo que cambia.
+ * hooks: { onBuild(result, config), onError(err) } — los usa `serve` para avisar al navegador.
+ */
+export async function startDev(options = {}, hooks = {}) {
+  let config;
+  try {
+    config = await resolveConfig(options);
+  } catch (err) {
+    logger.error(`Invalid config: ${err.message}`);
+    process.exit(1);
+  }
+
   logger.info('Watching .axcss files for changes...');
 
-  const watcher = watch('**/*.axcss', { ignored: ['node_modules/**', '.axcss/**'] });
+  // Mismos globs que `build` (include / exclude de axcss.config), relativos a root
+  // ignoreInitial: el primer build se lanza abajo, no con un `add` por fichero
+  const watcher = watch(config.include, { cwd: config.root, ignored: config.exclude, ignoreInitial: true });
+  // Si hay fichero de config, un cambio en él también dispara un rebuild
+  if (config.configFile) watcher.add(config.configFile);
+  // purge: las plantillas de la app deciden qué instancias se generan (buildFiles las vuelve a leer)
+  if (config.purge.content.length) watcher.add(config.purge.content);
 
-  const scheduleBuild = () => {
-    if (timeout) clearTimeout(timeout);
-    timeout = setTimeout(async () => {
-      try {
-        await build({ silent: false }); // Build silencioso
-        logger.info('Waiting for changes...');
-      } catch (err) {
-        logger.error('Build failed:', err.message);
-        
+  // Cambios pendientes desde el último build (rutas absolutas). El primer build es completo:
+  // la caché de .axcss/.cache decide qué ficheros siguen al día.
+  let files = null;
+  let fullBuild = true;
+  let reglob = true;
+  const changed = new Set();
+  let building = Promise.resolve(); // un build detrás de otro, nunca dos a la vez
+
+  const runBuild = async () => {
+    try {
+      if (fullBuild && files) {
+        // Cambió el fichero de config: se vuelve a cargar y todo se comprueba de nuevo
+        config = await resolveConfig(options);
       }
-    }, 100); // Espera 100ms después del último cambio
+      if (reglob) files = await findEntries(config);
+      const pending = fullBuild ? null : new Set(changed);
+      fullBuild = reglob = false;
+      changed.clear();
+
+      // Sólo se recompilan las entradas que cambiaron o que importan algo que cambió
+      const result = await buildFiles(config, files, { changed: pending });
+      // Ficheros importados fuera de `include` (otros .axcss, tokens .json / .js)
+      watcher.add(result.dependencies);
+      if (hooks.onBuild) await hooks.onBuild(result, config);
+      logger.info('Waiting for changes...');
+    } catch (err) {
+      logger.error(`Build failed: ${err.message}`);
+      if (hooks.onError) hooks.onError(err);
+    }
+  };
+
+  const schedule = (event) => (file) => {
+    const absolute = path.resolve(config.root, file);
+    if (absolute === config.configFile) fullBuild = reglob = true;
+    // Altas y bajas cambian la lista de entradas (y las bajas borran sus salidas)
+    if (event !== 'change') reglob = true;
+    changed.add(absolute);
+    if (timeout) clearTimeout(timeout);
+    // Espera 100ms después del último cambio
+    timeout = setTimeout(() => {
+      building = building.then(runBuild);
+    }, 100);
   };
 
-  watcher.on('add', scheduleBuild);
-  watcher.on('change', scheduleBuild);
-  watcher.on('unlink', scheduleBuild);
+  building = building.then(runBuild);
+  watcher.on('add', schedule('add'));
+  watcher.on('change', schedule('change'));
+  watcher.on('unlink', schedule('unlink'));
 }
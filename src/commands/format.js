@@ -0,0 +1,53 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { format } from '../parser/printer.js';
+import { resolveConfig } from '../utils/config.js';
+import { filesFromArgs } from './check.js';
+import { logger, colors } from '../utils/colors.js';
+
+/**
+ * `axcss format [files...]`: reescribe los .axcss con el estilo del printer.
+ * options.check: no escribe nada; lista los ficheros sin formatear y sale con 1 (CI, pre-commit).
+ * Los ficheros con errores de sintaxis no se tocan y también dan código de salida 1.
+ */
+export async function formatFiles(patterns = [], options = {}) {
+  try {
+    const config = await resolveConfig(options);
+    const files = await filesFromArgs(patterns, config);
+    const relative = (p) => path.relative(process.cwd(), p).replace(/\\/g, '/');
+    const unformatted = [];
+    const failed = [];
+
+    for (const file of files) {
+      const source = await fs.readFile(file, 'utf8');
+      const { code, errors } = format(source);
+      if (code === null) {
+        const [first] = errors;
+        logger.error(`${relative(file)}:${first.line}:${first.column} ${first.message} (not formatted)`);
+        failed.push(file);
+        continue;
+      }
+      if (code === source) continue;
+      unformatted.push(file);
+      if (options.check) {
+        console.log(`${colors.yellow}${relative(file)}${colors.reset}`);
+      } else {
+        await fs.writeFile(file, code);
+        logger.compile(relative(file));
+      }
+    }
+
+    if (options.check) {
+      if (unformatted.length) logger.warning(`${unformatted.length} file(s) need formatting. Run \`axcss format\` to fix.`);
+      else if (!failed.length) logger.success(`All ${files.length} file(s) are formatted.`);
+    } else {
+      logger.success(`Formatted ${unformatted.length} of ${files.length} file(s).`);
+    }
+
+    if (failed.length || (options.check && unformatted.length)) process.exitCode = 1;
+    return { files, unformatted, failed };
+  } catch (error) {
+    logger.error(`Format failed: ${error.message}`);
+    process.exit(2);
+  }
+}
@@ -0,0 +1,147 @@
+import http from 'http';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { startDev } from './dev.js';
+import { resolveConfig } from '../utils/config.js';
+import { acceptWebSocket } from '../utils/websocket.js';
+import { logger } from '../utils/colors.js';
+
+// Rutas reservadas del servidor: el cliente de live reload y su WebSocket
+const CLIENT_PATH = '/__axcss/client.js';
+const SOCKET_PATH = '/__axcss/ws';
+const CLIENT_FILE = new URL('../client/liveReload.js', import.meta.url);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+// Las páginas HTML llevan el cliente de live reload antes de </head> (o al final)
+function injectClient(html) {
+  const tag = `<script type="module" src="${CLIENT_PATH}"></script>`;
+  return /<\/head>/i.test(html) ? html.replace(/<\/head>/i, `${tag}\n</head>`) : `${html}\n${tag}`;
+}
+
+async function serveFile(req, res, publicDir) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === CLIENT_PATH) {
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-store' });
+    res.end(await fs.readFile(CLIENT_FILE));
+    return;
+  }
+
+  let file = path.join(publicDir, decodeURIComponent(pathname));
+  // Nada fuera del directorio servido (/../../etc/passwd)
+  if (file !== publicDir && !file.startsWith(publicDir + path.sep)) {
+    res.writeHead(403).end('Forbidden');
+    return;
+  }
+  try {
+    if ((await fs.stat(file)).isDirectory()) file = path.join(file, 'index.html');
+    let body = await fs.readFile(file);
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] ?? 'application/octet-stream';
+    if (type.startsWith('text/html')) body = injectClient(body.toString('utf8'));
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+  } catch {
+    res.writeHead(404, { 'Content-Type': MIME_TYPES['.txt'] }).end(`Not found: ${pathname}`);
+  }
+}
+
+/**
+ * `axcss serve [dir]`: sirve `dir` (por defecto root) por HTTP, recompila como `axcss dev` y avisa
+ * al navegador por WebSocket: hojas nuevas sin recargar y overlay con los errores de compilación.
+ */
+export async function startServe(dir, options = {}) {
+  let config;
+  try {
+    config = await resolveConfig(options);
+  } catch (err) {
+    logger.error(`Invalid config: ${err.message}`);
+    process.exit(1);
+  }
+  const publicDir = path.resolve(dir ?? config.root);
+  const port = Number(options.port ?? 3000);
+  const host = options.host ?? 'localhost';
+
+  const clients = new Set();
+  let errors = []; // los últimos, para los navegadores que se conectan después
+  const broadcast = (message) => {
+    const text = JSON.stringify(message);
+    for (const client of clients) client.send(text);
+  };
+
+  const server = http.createServer((req, res) => {
+    serveFile(req, res, publicDir).catch((err) => {
+      res.writeHead(500).end(err.message);
+    });
+  });
+  server.on('upgrade', (req, socket) => {
+    if (new URL(req.url, 'http://localhost').pathname !== SOCKET_PATH) {
+      socket.destroy();
+      return;
+    }
+    const client = acceptWebSocket(req, socket, { onClose: () => clients.delete(client) });
+    if (!client) return;
+    clients.add(client);
+    client.send(JSON.stringify({ type: 'errors', errors }));
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (err) {
+    logger.error(err.code === 'EADDRINUSE' ? `Port ${port} is already in use (try --port).` : `Server failed: ${err.message}`);
+    process.exit(1);
+  }
+  logger.success(`Serving ${path.relative(process.cwd(), publicDir) || '.'} at http://${host}:${port}/`);
+
+  // URL (dentro de publicDir) de un .css de salida; null si queda fuera y no se puede servir
+  const urlOf = (root, cssPath) => {
+    const relative = path.relative(publicDir, path.resolve(root, cssPath));
+    return relative.startsWith('..') || path.isAbsolute(relative) ? null : `/${relative.replace(/\\/g, '/')}`;
+  };
+
+  await startDev(options, {
+    onBuild(result, current) {
+      // Entradas nuevas o borradas cambian axcssMain.js y los imports: mejor recargar
+      if (result.removed.length || result.updated.some(u => u.added)) {
+        broadcast({ type: 'reload' });
+      } else if (result.updated.length) {
+        const styles = result.updated
+          .map(u => ({ id: u.file, href: urlOf(current.root, u.cssPath) }))
+          .filter(s => s.href);
+        broadcast({ type: 'update', styles });
+      }
+      // Los errores del analizador (los de analyzeContent, con los @import resueltos) y de la compilación
+      errors = result.failures.flatMap(({ file, diagnostics }) => diagnostics.map(d => ({
+        file: d.file ? path.relative(current.root, d.file).replace(/\\/g, '/') : file,
+        line: d.line,
+        column: d.column,
+        message: d.message
+      })));
+      broadcast({ type: 'errors', errors });
+    },
+    onError(err) {
+      errors = [{ message: `Build failed: ${err.message}` }];
+      broadcast({ type: 'errors', errors });
+    }
+  });
+}
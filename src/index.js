@@ -0,0 +1,6 @@
+// API pública de AXCSS (para plugins de bundlers, tests, editores...)
+// Ninguna de estas funciones escribe en consola ni llama a process.exit:
+// los problemas se devuelven en `diagnostics`.
+export { compile, compileFile, analyzeContent } from './processors/componentProcessor.js';
+export { format } from './parser/printer.js';
+export { loadConfig } from './utils/config.js';
@@ -0,0 +1,66 @@
+// shared.js
+// Piezas comunes de las integraciones con bundlers (vite.js para Vite / Rollup, webpack.js).
+// Compilan en proceso con la config del proyecto (classNames) y dejan el CSS al pipeline del
+// bundler: ni los plugins de PostCSS de axcss.config ni los proxies de `build` intervienen.
+
+import { compile } from '../processors/componentProcessor.js';
+import { loadConfig, mergeConfig } from '../utils/config.js';
+
+export const AXCSS_FILE = /\.axcss$/;
+
+/**
+ * Devuelve compileModule(file, source, { readFile }) -> resultado de compile().
+ * options: { cwd, config, mode, classNames } — config/mode como en la CLI; `classNames` del
+ * plugin gana a la de axcss.config. La config se carga una vez, en la primera compilación.
+ */
+export function createCompiler(options = {}) {
+  let configPromise;
+  return async function compileModule(file, source, { readFile } = {}) {
+    configPromise ??= loadConfig({ cwd: options.cwd, configFile: options.config, mode: options.mode });
+    const config = await configPromise;
+    const classNames = mergeConfig(config.classNames, options.classNames);
+    // `scoped: true` en el plugin sin plantilla propia: la plantilla scoped por defecto
+    const own = options.classNames ?? {};
+    if (own.scoped && !('template' in own) && !('format' in own)) classNames.template = undefined;
+    return compile(source, {
+      filename: file,
+      root: config.root,
+      alias: config.alias,
+      classNames,
+      map: true,
+      readFile
+    });
+  };
+}
+
+// "mensaje (fichero:línea:columna)" para los errores y warnings del bundler
+export function formatDiagnostic(d, file) {
+  const where = [d.file ?? file, d.line, d.column].filter(v => v !== undefined && v !== null).join(':');
+  return `${d.message} (${where})`;
+}
+
+/**
+ * Módulo JS de un .axcss: `import classes from './button.axcss'` (default y `classes`).
+ * cssRequest: petición del CSS para el pipeline del bundler; sin ella (inject) el propio módulo
+ * mete el CSS en un <style data-axcss>, como el proxy `style` de `build`.
+ */
+export function classesModule(classes, { cssRequest, inject } = {}) {
+  const lines = [];
+  if (cssRequest) lines.push(`import ${JSON.stringify(cssRequest)};`);
+  if (inject) {
+    lines.push(
+      `const css = ${JSON.stringify(inject.css)};`,
+      'if (typeof document !== \'undefined\') {',
+      `  let style = document.querySelector('style[data-axcss=${JSON.stringify(inject.id)}]');`,
+      '  if (!style) {',
+      '    style = document.createElement(\'style\');',
+      `    style.dataset.axcss = ${JSON.stringify(inject.id)};`,
+      '    document.head.appendChild(style);',
+      '  }',
+      '  style.textContent = css;',
+      '}'
+    );
+  }
+  lines.push(`export const classes = ${JSON.stringify(classes, null, 2)};`, 'export default classes;');
+  return lines.join('\n');
+}
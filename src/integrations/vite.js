@@ -0,0 +1,104 @@
+// vite.js
+// Plugin de Vite (y de Rollup) para importar .axcss directamente:
+//   import classes from './button.axcss';        // { primary: 'primary', 'Button.primary': ... }
+//   // vite.config.js
+//   import axcss from 'axcss/vite';
+//   export default { plugins: [axcss()] };
+// El .axcss se convierte en un módulo JS con el mapa de clases que importa un módulo CSS virtual
+// (`button.axcss?axcss&lang.css`): ese lo procesa el pipeline de CSS de Vite (PostCSS, HMR,
+// extracción en el build). Los @import se vigilan y los errores llegan al overlay de Vite.
+// En Rollup hace falta un plugin de CSS (p.ej. rollup-plugin-postcss) o `emitCss: false`.
+
+import { promises as fs } from 'fs';
+import { AXCSS_FILE, classesModule, createCompiler, formatDiagnostic } from './shared.js';
+
+const CSS_QUERY = '?axcss&lang.css';
+
+/**
+ * options:
+ * - classNames: como en axcss.config (gana a la del fichero de config)
+ * - config / mode: fichero de config y modo (por defecto los de Vite)
+ * - emitCss: false -> el módulo JS inyecta el CSS en un <style> (sin pipeline de CSS)
+ */
+export default function axcss(options = {}) {
+  const emitCss = options.emitCss ?? true;
+  let compileModule = createCompiler(options);
+  const results = new Map(); // .axcss -> último compile(): el módulo CSS reutiliza el del módulo JS
+  const dependents = new Map(); // fichero importado -> Set de .axcss que lo importan
+
+  const forget = (file) => {
+    results.delete(file);
+    for (const importer of dependents.get(file) ?? []) results.delete(importer);
+  };
+
+  // Compila (o reutiliza) un .axcss; registra sus @import para watch / HMR y reporta diagnostics
+  async function compileFile(ctx, file) {
+    let result = results.get(file);
+    if (!result) {
+      result = await compileModule(file, await fs.readFile(file, 'utf8'));
+      results.set(file, result);
+    }
+    for (const dep of result.dependencies) {
+      if (!dependents.has(dep)) dependents.set(dep, new Set());
+      dependents.get(dep).add(file);
+      ctx.addWatchFile(dep);
+    }
+    for (const d of result.diagnostics.filter(d => d.severity === 'warning')) ctx.warn(formatDiagnostic(d, file));
+    const error = result.diagnostics.find(d => d.severity === 'error');
+    if (error) {
+      results.delete(file); // que el siguiente intento vuelva a compilar
+      ctx.error({
+        message: error.message,
+        id: error.file ?? file,
+        loc: error.line ? { file: error.file ?? file, line: error.line, column: (error.column ?? 1) - 1 } : undefined
+      });
+    }
+    return result;
+  }
+
+  return {
+    name: 'axcss',
+    enforce: 'pre',
+
+    // Vite: config y modo del proyecto (root de Vite como cwd)
+    configResolved(config) {
+      compileModule = createCompiler({ cwd: config.root, mode: config.mode, ...options });
+    },
+
+    resolveId(id) {
+      if (id.endsWith(CSS_QUERY)) return id;
+      return null;
+    },
+
+    async load(id) {
+      if (id.endsWith(CSS_QUERY)) {
+        const result = await compileFile(this, id.slice(0, -CSS_QUERY.length));
+        return { code: result.css, map: result.map };
+      }
+      if (!AXCSS_FILE.test(id)) return null;
+      const result = await compileFile(this, id);
+      const code = emitCss
+        ? classesModule(result.classes, { cssRequest: `${id}${CSS_QUERY}` })
+        : classesModule(result.classes, { inject: { id, css: result.css } });
+      return { code, map: null };
+    },
+
+    watchChange(id) {
+      forget(id);
+    },
+
+    // Un fichero importado por .axcss cambió: también se actualizan los módulos de quien lo importa
+    handleHotUpdate({ file, server, modules }) {
+      forget(file);
+      const importers = dependents.get(file);
+      if (!importers) return;
+      const affected = new Set(modules);
+      for (const importer of importers) {
+        for (const mod of server.moduleGraph.getModulesByFile(importer) ?? []) affected.add(mod);
+      }
+      return [...affected];
+    }
+  };
+}
+
+export { axcss };
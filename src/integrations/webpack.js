@@ -0,0 +1,89 @@
+// webpack.js
+// Loader de webpack para importar .axcss directamente:
+//   // webpack.config.js
+//   module: { rules: [
+//     { test: /\.axcss$/, use: 'axcss/webpack' },
+//     { test: /\.css$/, use: ['style-loader', 'css-loader'] }   // o MiniCssExtractPlugin.loader
+//   ] }
+// El .axcss se convierte en un módulo JS con el mapa de clases que importa su CSS con
+// `button.axcss.css!=!<este loader>?css!./button.axcss`: la petición casa con la regla de .css
+// del proyecto, así el CSS pasa por los loaders de CSS de webpack. Los @import son dependencias
+// del módulo (watch) y los errores de compilación llegan al overlay.
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { classesModule, createCompiler, formatDiagnostic } from './shared.js';
+import { createReader } from '../utils/cache.js';
+
+const LOADER = fileURLToPath(import.meta.url);
+
+const compilers = new Map(); // por rootContext + opciones
+// resourcePath -> { source, inputs, result }: la petición del CSS reutiliza la compilación del
+// módulo JS mientras el .axcss y todo lo que importa (inputs: { ruta: hash }) sigan igual
+const results = new Map();
+
+function compilerFor(loader, options) {
+  const key = `${loader.rootContext}\0${JSON.stringify(options)}`;
+  if (!compilers.has(key)) {
+    compilers.set(key, createCompiler({ cwd: loader.rootContext, mode: loader.mode, ...options }));
+  }
+  return compilers.get(key);
+}
+
+// Compila leyendo cada fichero una vez y guarda el hash de lo que se ha leído
+async function compileEntry(compileModule, file, source) {
+  const { readFile, hashFile } = createReader();
+  const result = await compileModule(file, source, { readFile });
+  const inputs = {};
+  for (const dep of result.dependencies) inputs[dep] = await hashFile(dep);
+  return { source, inputs, result };
+}
+
+// ¿Sirve el resultado guardado? Mismo .axcss y ningún @import (ni fichero de tokens) cambiado
+async function isFresh(entry, source) {
+  if (!entry || entry.source !== source) return false;
+  const { hashFile } = createReader();
+  for (const [dep, hash] of Object.entries(entry.inputs)) {
+    if (await hashFile(dep) !== hash) return false;
+  }
+  return true;
+}
+
+export default function axcssLoader(source) {
+  const callback = this.async();
+  const { css: cssRequest, ...options } = this.getOptions();
+  const file = this.resourcePath;
+  const compileModule = compilerFor(this, options);
+
+  // Primera pasada (módulo JS): siempre compila, webpack sólo la repite si algo ha cambiado
+  const load = async () => {
+    if (cssRequest === undefined) results.delete(file);
+    const cached = results.get(file);
+    if (await isFresh(cached, source)) return cached;
+    const entry = await compileEntry(compileModule, file, source);
+    results.set(file, entry);
+    return entry;
+  };
+
+  load().then(({ result }) => {
+    for (const dep of result.dependencies) this.addDependency(dep);
+    for (const d of result.diagnostics.filter(d => d.severity === 'warning')) {
+      this.emitWarning(new Error(formatDiagnostic(d, file)));
+    }
+    const error = result.diagnostics.find(d => d.severity === 'error');
+    if (error) {
+      results.delete(file);
+      callback(new Error(formatDiagnostic(error, file)));
+      return;
+    }
+
+    // Segunda pasada (?css): el CSS para los loaders de CSS del proyecto
+    if (cssRequest !== undefined) {
+      callback(null, result.css, result.map ?? undefined);
+      return;
+    }
+    const name = path.basename(file);
+    const request = `./${name}.css!=!${LOADER}?css!./${name}`;
+    callback(null, classesModule(result.classes, { cssRequest: request }));
+  }, callback);
+}
@@ -0,0 +1,66 @@
+// jsonrpc.js
+// JSON-RPC 2.0 sobre stdio con las cabeceras `Content-Length` del Language Server Protocol.
+// stdout es sólo para el protocolo: nada de console.log en el servidor.
+
+export const METHOD_NOT_FOUND = -32601;
+export const INTERNAL_ERROR = -32603;
+
+/**
+ * Conexión sobre (input, output). handlers: { método: async (params) => resultado }.
+ * Las peticiones (con id) reciben su respuesta; las notificaciones sin handler se ignoran.
+ * Devuelve { notify(method, params) }.
+ */
+export function createConnection(input, output, handlers) {
+  const send = (message) => {
+    const body = Buffer.from(JSON.stringify({ jsonrpc: '2.0', ...message }), 'utf8');
+    output.write(`Content-Length: ${body.length}\r\n\r\n`);
+    output.write(body);
+  };
+
+  const dispatch = async (message) => {
+    const handler = handlers[message.method];
+    const isRequest = message.id !== undefined && message.id !== null;
+    if (!handler) {
+      if (isRequest) send({ id: message.id, error: { code: METHOD_NOT_FOUND, message: `Unhandled method ${message.method}` } });
+      return;
+    }
+    try {
+      const result = await handler(message.params ?? {});
+      if (isRequest) send({ id: message.id, result: result ?? null });
+    } catch (err) {
+      if (isRequest) send({ id: message.id, error: { code: err.code ?? INTERNAL_ERROR, message: err.message } });
+    }
+  };
+
+  let buffer = Buffer.alloc(0);
+  input.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const header = buffer.subarray(0, headerEnd).toString('ascii');
+      const length = Number(/Content-Length:\s*(\d+)/i.exec(header)?.[1]);
+      if (!Number.isFinite(length)) {
+        buffer = buffer.subarray(headerEnd + 4); // cabecera rota: se descarta
+        continue;
+      }
+      const start = headerEnd + 4;
+      if (buffer.length < start + length) return;
+      const body = buffer.subarray(start, start + length).toString('utf8');
+      buffer = buffer.subarray(start + length);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch {
+        continue;
+      }
+      dispatch(message);
+    }
+  });
+
+  return {
+    notify(method, params) {
+      send({ method, params });
+    }
+  };
+}
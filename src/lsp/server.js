@@ -0,0 +1,357 @@
+// server.js
+// `axcss lsp`: language server por stdio para .axcss, sobre el parser y el analizador.
+//   - diagnostics del analizador (con los @import resueltos) mientras se escribe
+//   - completado: nombres de componente en el nivel superior, `$param` dentro de instancias
+//     (con su default), de componentes y de mixins, mixins tras `@include`
+//   - ir a la definición: `Button.primary`, `extends Button`, `@include x` -> su cabecera;
+//     `$param` -> su declaración (también en otro fichero importado)
+//   - hover: parámetros con su default y firmas de componentes / mixins
+// Los ficheros abiertos en el editor se leen de memoria; los demás, de disco. Los `alias` salen
+// del axcss.config del proyecto (se lee una vez por directorio).
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parse, lineColumn, resolveInstances } from '../parser/parser.js';
+import { compile } from '../processors/componentProcessor.js';
+import { loadConfig } from '../utils/config.js';
+import { resolveImportPath } from '../utils/resolve.js';
+import { createConnection } from './jsonrpc.js';
+
+const SEVERITY = { error: 1, warning: 2 };
+const COMPLETION_KIND = { function: 3, variable: 6, class: 7 };
+const DIAGNOSTIC_DELAY = 150; // ms tras la última pulsación
+const WORD_CHAR = /[A-Za-z0-9_$.-]/; // con `.`: `ui.Button`, `@include ui.truncate`
+const AFTER_INCLUDE = /@include\s+$/;
+
+const uriToPath = (uri) => (uri.startsWith('file:') ? fileURLToPath(uri) : uri);
+const pathToUri = (file) => pathToFileURL(file).href;
+
+// ----------------- Posiciones -----------------
+// LSP cuenta líneas y caracteres desde 0 en UTF-16, igual que los índices de los strings de JS
+
+function offsetAt(text, { line, character }) {
+  let offset = 0;
+  for (let i = 0; i < line; i++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) return text.length;
+    offset = next + 1;
+  }
+  const lineEnd = text.indexOf('\n', offset);
+  return Math.min(offset + character, lineEnd === -1 ? text.length : lineEnd);
+}
+
+function positionAt(text, offset) {
+  const { line, column } = lineColumn(text, offset);
+  return { line: line - 1, character: column - 1 };
+}
+
+const rangeOf = (text, start, end) => ({ start: positionAt(text, start), end: positionAt(text, end) });
+
+// Palabra (nombre, `$variable`) que contiene `offset`
+function wordAt(text, offset) {
+  let start = offset;
+  let end = offset;
+  while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+  while (end < text.length && WORD_CHAR.test(text[end])) end++;
+  return { word: text.slice(start, end), start, end };
+}
+
+// ----------------- Índice: definiciones visibles desde un fichero -----------------
+
+/**
+ * Componentes y mixins visibles desde el fichero: { components, mixins }, Map<nombre, { node, file,
+ * text, scope }>. Como en compile(): lo local tapa a lo importado, `@import "x" as ui` da `ui.Button`
+ * y `@import { Button } from "x"` sólo esos nombres. scope: el del fichero que define cada uno
+ * (ahí se busca el padre de su `extends`).
+ */
+async function collectDefinitions(file, text, readText, resolveOptions) {
+  const scopes = new Map(); // fichero -> su ámbito (en un ciclo, el que se está llenando)
+  const visit = async (current, content) => {
+    if (scopes.has(current)) return scopes.get(current);
+    const scope = { components: new Map(), mixins: new Map() };
+    scopes.set(current, scope);
+    const { ast } = parse(content);
+    for (const node of ast.children) {
+      if (node.type !== 'import') continue;
+      let target;
+      let imported;
+      try {
+        target = resolveImportPath(node.path, current, resolveOptions);
+        if (!target.endsWith('.axcss')) continue;
+        imported = await readText(target);
+      } catch {
+        continue; // compile() ya avisa del import roto
+      }
+      const theirs = await visit(target, imported);
+      for (const kind of ['components', 'mixins']) {
+        for (const [name, def] of theirs[kind]) {
+          if (name.includes('.')) continue; // los namespaces no pasan de un fichero a otro
+          if (node.names) {
+            const entry = node.names.find(e => e.name === name);
+            if (entry) scope[kind].set(entry.as ?? name, def);
+          } else {
+            scope[kind].set(node.namespace ? `${node.namespace}.${name}` : name, def);
+          }
+        }
+      }
+    }
+    for (const node of ast.children) {
+      if (node.type === 'component' && node.name) scope.components.set(node.name, { node, file: current, text: content, scope });
+      if (node.type === 'mixin' && node.name) scope.mixins.set(node.name, { node, file: current, text: content, scope });
+    }
+    return scope;
+  };
+  return visit(file, text);
+}
+
+// Parámetros de un componente, con los heredados por `extends` (los propios tapan a los del padre)
+function paramsOf(name, components, seen = new Set()) {
+  const def = components.get(name);
+  if (!def || seen.has(def)) return [];
+  seen.add(def);
+  const own = def.node.params.map(p => ({ ...p, owner: def }));
+  const inherited = def.node.extends ? paramsOf(def.node.extends.name, def.scope.components, seen) : [];
+  return [...inherited.filter(p => !own.some(o => o.name === p.name)), ...own];
+}
+
+function signature({ node }) {
+  const params = node.params.map(p => (p.defaultValue !== undefined ? `$${p.name}: ${p.defaultValue}` : `$${p.name}`));
+  const parent = node.extends ? ` extends ${node.extends.name}` : '';
+  return `${node.type} ${node.name}${parent}(${params.join(', ')})`;
+}
+
+// Nodo de nivel superior que contiene `offset` (un bloque sin cerrar llega hasta el final del texto)
+function topNodeAt(text, ast, offset) {
+  return ast.children.find(node => node.start <= offset
+    && (offset < node.end || (offset === node.end && text[node.end - 1] !== '}'))) ?? null;
+}
+
+/**
+ * Dónde está el cursor: { top, inBody, params, owner } — params: los `$param` que tienen sentido
+ * ahí (instancia -> los de su componente; componente / mixin -> los suyos).
+ */
+function contextAt({ file, text, ast, defs }, offset) {
+  const top = topNodeAt(text, ast, offset);
+  if (!top) return { top: null, inBody: false, params: [] };
+  const open = text.indexOf('{', top.start);
+  const inBody = open !== -1 && open < offset;
+  if (top.type === 'instance') {
+    return { top, inBody, params: paramsOf(top.componentName, defs.components), owner: defs.components.get(top.componentName) };
+  }
+  if (top.type === 'component') {
+    return { top, inBody, params: paramsOf(top.name, defs.components), owner: defs.components.get(top.name) };
+  }
+  if (top.type === 'mixin') {
+    const owner = { node: top, file, text };
+    return { top, inBody, params: top.params.map(p => ({ ...p, owner })), owner };
+  }
+  return { top, inBody, params: [] };
+}
+
+// Componente bajo el cursor: en `Button.primary` cualquiera de las dos partes lleva a Button
+function componentAt({ text, ast, defs }, offset, word) {
+  const top = topNodeAt(text, ast, offset);
+  const inSelector = top?.type === 'instance' && offset <= text.indexOf('{', top.start);
+  return defs.components.get(inSelector ? top.componentName : word) ?? null;
+}
+
+function location(def, start, end) {
+  return { uri: pathToUri(def.file), range: rangeOf(def.text, start, end) };
+}
+
+// ----------------- Servidor -----------------
+
+export function startLanguageServer({ input = process.stdin, output = process.stdout } = {}) {
+  const documents = new Map(); // ruta -> texto de los ficheros abiertos
+  const timers = new Map();
+  let shutdown = false;
+
+  const configs = new Map(); // directorio -> Promise<{ root, alias }>
+
+  const readText = async (file) => (documents.has(file) ? documents.get(file) : fs.readFile(file, 'utf8'));
+
+  // root y alias del axcss.config que toca al fichero; una config rota no debe tumbar el servidor
+  function resolveOptionsFor(file) {
+    const dir = path.dirname(file);
+    if (!configs.has(dir)) {
+      configs.set(dir, loadConfig({ cwd: dir })
+        .then(config => ({ root: config.root, alias: config.alias }))
+        .catch(() => ({ root: dir, alias: {} })));
+    }
+    return configs.get(dir);
+  }
+
+  // Estado de un documento para una petición: texto, AST (instancias de componentes importados
+  // incluidas) y definiciones visibles
+  async function analyzeDocument(uri) {
+    const file = uriToPath(uri);
+    const text = await readText(file);
+    const { ast } = parse(text);
+    const defs = await collectDefinitions(file, text, readText, await resolveOptionsFor(file));
+    resolveInstances(ast, new Set(defs.components.keys()));
+    return { file, text, ast, defs };
+  }
+
+  async function publishDiagnostics(file) {
+    const text = documents.get(file);
+    if (text === undefined) return;
+    const { diagnostics } = await compile(text, { filename: file, analyzeOnly: true, readFile: readText, ...await resolveOptionsFor(file) });
+    const own = diagnostics.filter(d => !d.file || path.resolve(d.file) === file);
+    connection.notify('textDocument/publishDiagnostics', {
+      uri: pathToUri(file),
+      diagnostics: own.map(d => {
+        const start = d.line ? offsetAt(text, { line: d.line - 1, character: (d.column ?? 1) - 1 }) : 0;
+        const { end } = wordAt(text, start);
+        return {
+          range: rangeOf(text, start, end > start ? end : Math.min(start + 1, text.length)),
+          severity: SEVERITY[d.severity] ?? SEVERITY.warning,
+          source: 'axcss',
+          message: d.suggestion ? `${d.message}\n${d.suggestion}` : d.message
+        };
+      })
+    });
+  }
+
+  // Un cambio puede afectar a los ficheros abiertos que lo importan: se revisan todos
+  const scheduleDiagnostics = () => {
+    for (const file of documents.keys()) {
+      clearTimeout(timers.get(file));
+      timers.set(file, setTimeout(() => {
+        timers.delete(file);
+        publishDiagnostics(file).catch(() => {});
+      }, DIAGNOSTIC_DELAY));
+    }
+  };
+
+  const handlers = {
+    async initialize() {
+      const pkg = JSON.parse(await fs.readFile(new URL('../../package.json', import.meta.url), 'utf8'));
+      return {
+        capabilities: {
+          textDocumentSync: { openClose: true, change: 1 }, // 1: el documento entero en cada cambio
+          completionProvider: { triggerCharacters: ['$'] },
+          definitionProvider: true,
+          hoverProvider: true
+        },
+        serverInfo: { name: 'axcss', version: pkg.version }
+      };
+    },
+
+    shutdown() {
+      shutdown = true;
+      return null;
+    },
+
+    exit() {
+      process.exit(shutdown ? 0 : 1);
+    },
+
+    'textDocument/didOpen'({ textDocument }) {
+      documents.set(uriToPath(textDocument.uri), textDocument.text);
+      scheduleDiagnostics();
+    },
+
+    'textDocument/didChange'({ textDocument, contentChanges }) {
+      if (!contentChanges.length) return;
+      documents.set(uriToPath(textDocument.uri), contentChanges[contentChanges.length - 1].text);
+      scheduleDiagnostics();
+    },
+
+    'textDocument/didClose'({ textDocument }) {
+      const file = uriToPath(textDocument.uri);
+      documents.delete(file);
+      clearTimeout(timers.get(file));
+      connection.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    },
+
+    async 'textDocument/completion'({ textDocument, position }) {
+      const doc = await analyzeDocument(textDocument.uri);
+      const { text, defs } = doc;
+      const offset = offsetAt(text, position);
+      const { start } = wordAt(text, offset);
+      const replace = rangeOf(text, start, offset);
+
+      if (AFTER_INCLUDE.test(text.slice(0, start))) {
+        return [...defs.mixins].map(([name, def]) => ({
+          label: name,
+          kind: COMPLETION_KIND.function,
+          detail: signature(def),
+          textEdit: { range: replace, newText: name }
+        }));
+      }
+
+      const ctx = contextAt(doc, offset);
+      if (ctx.inBody && ctx.params.length) {
+        // En una instancia, `$color: ` (salvo que ya haya `:` detrás)
+        const colon = ctx.top.type === 'instance' && !/^[A-Za-z0-9_-]*\s*:/.test(text.slice(offset)) ? ': ' : '';
+        return ctx.params.map((p, i) => ({
+          label: `$${p.name}`,
+          kind: COMPLETION_KIND.variable,
+          detail: p.defaultValue !== undefined ? `default: ${p.defaultValue}` : 'required (no default)',
+          documentation: `Parameter of ${signature(p.owner)}`,
+          sortText: String(i).padStart(4, '0'),
+          filterText: `$${p.name}`,
+          textEdit: { range: replace, newText: `$${p.name}${colon}` }
+        }));
+      }
+
+      // Nivel superior (o selector de una instancia): nombres de componente
+      if (!ctx.top || (!ctx.inBody && (ctx.top.type === 'instance' || ctx.top.type === 'rule'))) {
+        return [...defs.components].map(([name, def]) => ({
+          label: name,
+          kind: COMPLETION_KIND.class,
+          detail: signature(def),
+          documentation: def.file ? `Defined in ${path.basename(def.file)}` : undefined,
+          textEdit: { range: replace, newText: name }
+        }));
+      }
+      return [];
+    },
+
+    async 'textDocument/definition'({ textDocument, position }) {
+      const doc = await analyzeDocument(textDocument.uri);
+      const { text, ast, defs } = doc;
+      const offset = offsetAt(text, position);
+      const { word, start } = wordAt(text, offset);
+      if (!word) return null;
+
+      if (word.startsWith('$')) {
+        const param = contextAt(doc, offset).params.find(p => `$${p.name}` === word);
+        return param ? location(param.owner, param.start, param.end) : null;
+      }
+
+      const nameRange = (def) => location(def, def.node.nameStart, def.node.nameStart + def.node.name.length);
+      if (AFTER_INCLUDE.test(text.slice(0, start))) {
+        const mixin = defs.mixins.get(word);
+        return mixin ? nameRange(mixin) : null;
+      }
+      const component = componentAt(doc, offset, word);
+      return component ? nameRange(component) : null;
+    },
+
+    async 'textDocument/hover'({ textDocument, position }) {
+      const doc = await analyzeDocument(textDocument.uri);
+      const { text, defs } = doc;
+      const offset = offsetAt(text, position);
+      const { word, start, end } = wordAt(text, offset);
+      if (!word) return null;
+      const range = rangeOf(text, start, end);
+      const code = (value) => `\`\`\`axcss\n${value}\n\`\`\``;
+
+      if (word.startsWith('$')) {
+        const param = contextAt(doc, offset).params.find(p => `$${p.name}` === word);
+        if (!param) return null;
+        const value = param.defaultValue !== undefined ? `$${param.name}: ${param.defaultValue}` : `$${param.name} (required)`;
+        return { contents: { kind: 'markdown', value: `${code(value)}\nParameter of \`${signature(param.owner)}\`` }, range };
+      }
+      const def = AFTER_INCLUDE.test(text.slice(0, start)) ? defs.mixins.get(word) : componentAt(doc, offset, word);
+      if (!def) return null;
+      const where = def.file ? `\n\nDefined in \`${path.basename(def.file)}\`` : '';
+      return { contents: { kind: 'markdown', value: `${code(signature(def))}${where}` }, range };
+    }
+  };
+
+  const connection = createConnection(input, output, handlers);
+  return connection;
+}
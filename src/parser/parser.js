@@ -0,0 +1,589 @@
+// parser.js
+// Parser de .axcss sobre los tokens de tokenizer.js. Produce un AST con offsets exactos
+// (start / end, end exclusivo) que comparten el analizador, el generador de instancias
+// y el passthrough de CSS plano.
+//
+// Nodos:
+//   stylesheet { children }
+//   import     { path, pathStart }                               @import "./x.axcss";
+//              + use: true                                          @use "./x.axcss"; (sólo definiciones, sin CSS)
+//              + namespace, namespaceStart                          @import "./x.axcss" as ui; (ui.Button.primary)
+//              + names[{ name, as?, start }]                        @import { Button, Card as UiCard } from "./x.axcss";
+//   component  { name, params[], children, nameStart, bodyStart }  component Name($a: 1) { ... }
+//              + extends { name, start, end }                        component Name extends Base($a: 2) { ... }
+//   mixin      { name, params[], children, nameStart }             mixin truncate($lines: 1) { ... } (params opcionales)
+//   include    { name, args[], argsText, argsStart, children | null } @include truncate(2); / @include hover { ... } (slot)
+//   content    {}                                                    @content; (dentro de un mixin: el bloque del @include)
+//   instance   { componentName, instanceName, props[], children }  Name.instance { $a: 2; } / ui.Name.instance { }
+//   when       { condition, conditionStart, children }             when $a == 1 { ... } (dentro de componentes)
+//              + else: true                                          else when $a == 2 { ... } / else { ... } (condition null)
+//   each       { vars[], list, listStart, children }                @each $size in (sm, md, lg) { ... } / @each $k, $v in (sm: 1px, md: 2px)
+//   for        { var, from, to, inclusive, fromStart, toStart, children }   @for $i from 1 through 8 { ... } (`to`: sin el último)
+//   rule       { selector, children }
+//   atrule     { name, params, children | null }
+//   decl       { prop, value, valueStart }
+//   variable   { name, value, valueStart }                          $brand: #07f; (nivel superior: variable global)
+//   raw        { text }                                              sentencia que no es declaración
+//   comment    { text }
+// Todas las sentencias guardan `semicolon` (si terminaban en ';', incluido en `end`).
+
+import { tokenize } from './tokenizer.js';
+
+const INSTANCE_SELECTOR = /^(?:([a-zA-Z][a-zA-Z0-9_-]*)\.)?([a-zA-Z][a-zA-Z0-9_-]*)\.([a-zA-Z][a-zA-Z0-9_-]*)$/;
+const IDENTIFIER = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+const IMPORT_HINT = 'Write `@import "./file.axcss";`, `@import "./file.axcss" as ui;` or `@import { Button, Card } from "./file.axcss";`.';
+const EACH_HEADER = /^\$([a-zA-Z0-9_-]+)(?:\s*,\s*\$([a-zA-Z0-9_-]+))?\s+in\s+(\S[\s\S]*)$/;
+const FOR_HEADER = /^\$([a-zA-Z0-9_-]+)\s+from\s+(\S.*?)\s+(through|to)\s+(\S.*)$/;
+const isTrivia = (t) => t.type === 'space' || t.type === 'comment';
+const unquote = (s) => s.replace(/^['"]|['"]$/g, '');
+
+// Offset -> { line, column } (1-based)
+export function lineColumn(source, index) {
+  const before = source.slice(0, Math.max(0, index));
+  const lastBreak = before.lastIndexOf('\n');
+  let line = 1;
+  for (let i = 0; i < before.length; i++) if (before.charCodeAt(i) === 10) line++;
+  return { line, column: index - lastBreak };
+}
+
+// Texto de un rango de tokens sin comentarios, recortado
+function tokensText(tokens) {
+  return tokens.map(t => (t.type === 'comment' ? '' : t.value)).join('').trim();
+}
+
+function significant(tokens) {
+  return tokens.filter(t => !isTrivia(t));
+}
+
+// Divide tokens por comas de nivel 0 (respeta paréntesis: rgba(0,0,0,.1))
+function splitByComma(tokens) {
+  const parts = [[]];
+  let depth = 0;
+  for (const t of tokens) {
+    if (t.type === '(') depth++;
+    if (t.type === ')') depth--;
+    if (t.type === ',' && depth === 0) parts.push([]);
+    else parts[parts.length - 1].push(t);
+  }
+  return parts;
+}
+
+// ----------------- Parámetros: `$name: default` o `$name = default` -----------------
+function parseParams(tokens) {
+  const params = [];
+  for (const part of splitByComma(tokens)) {
+    const sig = significant(part);
+    if (!sig.length) continue;
+    const raw = tokensText(part);
+    let name, defaultValue;
+    if (raw.includes('=')) {
+      const idx = raw.indexOf('=');
+      name = raw.slice(0, idx).trim().replace(/^\$/, '');
+      defaultValue = unquote(raw.slice(idx + 1).trim());
+    } else if (raw.includes(':')) {
+      const idx = raw.indexOf(':');
+      name = raw.slice(0, idx).trim().replace(/^\$/, '');
+      defaultValue = unquote(raw.slice(idx + 1).trim());
+    } else {
+      name = raw.replace(/^\$/, '');
+      defaultValue = undefined;
+    }
+    params.push({ name, defaultValue, start: sig[0].start, end: sig[sig.length - 1].end });
+  }
+  return params;
+}
+
+// ----------------- Parser -----------------
+/**
+ * Parsea código .axcss.
+ * Devuelve { ast, errors, tokens }; errors: [{ message, start, end, suggestion }].
+ * Nunca lanza: los errores de sintaxis se devuelven y el parser se recupera.
+ */
+export function parse(source) {
+  const { tokens, errors: lexErrors } = tokenize(source);
+  const errors = lexErrors.map(e => ({ ...e }));
+  const state = { source, tokens, pos: 0, errors };
+
+  const error = (message, start, end, suggestion) => errors.push({ message, start, end: end ?? start + 1, suggestion });
+  state.error = error;
+
+  const children = parseBlockContents(state, { top: true, inComponent: false }, null).nodes;
+  const ast = { type: 'stylesheet', children, start: 0, end: source.length };
+
+  const localComponents = new Set(children.filter(n => n.type === 'component').map(n => n.name));
+  resolveInstances(ast, localComponents);
+
+  errors.sort((a, b) => a.start - b.start);
+  return { ast, errors, tokens };
+}
+
+function parseBlockContents(state, ctx, open) {
+  const { tokens, source } = state;
+  const nodes = [];
+
+  while (state.pos < tokens.length) {
+    const tok = tokens[state.pos];
+
+    if (tok.type === 'space') { state.pos++; continue; }
+    if (tok.type === 'comment') {
+      nodes.push({ type: 'comment', text: tok.value, start: tok.start, end: tok.end });
+      state.pos++;
+      continue;
+    }
+    if (tok.type === '}') {
+      if (open) {
+        state.pos++;
+        return { nodes, close: tok };
+      }
+      const pos = lineColumn(source, tok.start);
+      state.error(
+        `Unmatched closing '}' at line ${pos.line}, column ${pos.column}.`,
+        tok.start, tok.end,
+        "Remove the extra '}' or add the matching opening '{'."
+      );
+      state.pos++;
+      continue;
+    }
+    if (tok.type === ';') { state.pos++; continue; }
+
+    // Preludio: hasta '{', ';' o '}'
+    const preludeStart = state.pos;
+    while (state.pos < tokens.length && !['{', ';', '}'].includes(tokens[state.pos].type)) state.pos++;
+    const prelude = tokens.slice(preludeStart, state.pos);
+    const term = tokens[state.pos];
+
+    const sig = significant(prelude);
+    if (term && term.type === '{' && sig.length === 1 && (sig[0].value === '@import' || sig[0].value === '@use')) {
+      state.pos++;
+      const node = parseSelectiveImport(state, sig[0]);
+      if (node) nodes.push(node);
+    } else if (term && term.type === '{') {
+      state.pos++;
+      const node = parseBlockNode(state, ctx, prelude, term);
+      if (node && node.type === 'when' && node.else) checkElse(state, nodes, node);
+      if (node) nodes.push(node);
+    } else {
+      if (term && term.type === ';') state.pos++;
+      const node = parseStatement(state, ctx, prelude, term && term.type === ';' ? term : null);
+      if (node) nodes.push(node);
+    }
+  }
+
+  if (open) {
+    const pos = lineColumn(source, open.start);
+    state.error(
+      `Unclosed block starting at line ${pos.line}, column ${pos.column} (missing '}' ).`,
+      open.start, open.end,
+      "Add a closing '}' for the opened block."
+    );
+  }
+  return { nodes, close: null };
+}
+
+function parseBlockNode(state, ctx, prelude, open) {
+  const sig = significant(prelude);
+  const first = sig[0];
+  const headStart = first ? first.start : open.start;
+
+  // Bloque sin preludio: `{ ... }` suelto -> se parsea y se descarta
+  if (!first) {
+    state.error('Block without selector.', open.start, open.end, 'Add a selector before `{` or remove the block.');
+    parseBlockContents(state, { ...ctx, top: false }, open);
+    return null;
+  }
+
+  const finish = (node, childCtx) => {
+    const { nodes, close } = parseBlockContents(state, childCtx, open);
+    node.children = nodes;
+    node.start = headStart;
+    node.bodyStart = open.end;
+    node.bodyEnd = close ? close.start : state.source.length;
+    node.end = close ? close.end : state.source.length;
+    return node;
+  };
+
+  if (first.type === 'at-word' && (first.value === '@each' || first.value === '@for')) {
+    return finish(parseLoopHeader(state, prelude, first, open), { ...ctx, top: false });
+  }
+
+  if (first.type === 'at-word' && first.value === '@include') {
+    return finish(parseInclude(state, prelude, first), { ...ctx, top: false });
+  }
+
+  if (first.type === 'at-word') {
+    const params = tokensText(prelude.slice(prelude.indexOf(first) + 1));
+    return finish({ type: 'atrule', name: first.value.slice(1), params }, { ...ctx, top: false });
+  }
+
+  if (ctx.top && first.type === 'word' && first.value === 'mixin') {
+    const node = parseMixinHeader(state, sig, open);
+    return finish(node, { top: false, inComponent: true });
+  }
+
+  if (ctx.top && first.type === 'word' && first.value === 'component') {
+    const node = parseComponentHeader(state, sig, open);
+    return finish(node, { top: false, inComponent: true });
+  }
+
+  if (ctx.inComponent && first.type === 'word' && first.value === 'when') {
+    const rest = prelude.slice(prelude.indexOf(first) + 1);
+    const restSig = significant(rest);
+    const node = {
+      type: 'when',
+      condition: tokensText(rest),
+      conditionStart: restSig.length ? restSig[0].start : open.start
+    };
+    return finish(node, ctx);
+  }
+
+  // `else when cond { }` / `else { }`: hermanos del `when` anterior, marcados con `else`
+  if (ctx.inComponent && first.type === 'word' && first.value === 'else') {
+    const second = sig[1];
+    const node = { type: 'when', else: true, condition: null, conditionStart: first.start };
+    if (second && second.type === 'word' && second.value === 'when') {
+      const rest = prelude.slice(prelude.indexOf(second) + 1);
+      const restSig = significant(rest);
+      node.condition = tokensText(rest);
+      node.conditionStart = restSig.length ? restSig[0].start : open.start;
+    } else if (second) {
+      state.error(
+        'Malformed else: expected `else when <condition> {` or `else {`.',
+        second.start, second.end,
+        'Write `else when $a == value { ... }` or `else { ... }`.'
+      );
+    }
+    return finish(node, ctx);
+  }
+
+  const node = { type: 'rule', selector: tokensText(prelude) };
+  if (ctx.top && sig.length === 1 && first.type === 'word') {
+    const instanceOf = instanceSelector(first.value);
+    if (instanceOf) node.instanceOf = instanceOf;
+  }
+  return finish(node, { ...ctx, top: false });
+}
+
+// Un `else` sólo puede seguir a un `when` (o `else when`) del mismo bloque
+function checkElse(state, nodes, node) {
+  const prev = [...nodes].reverse().find(n => n.type !== 'comment');
+  if (!prev || prev.type !== 'when' || prev.condition === null) {
+    state.error(
+      '`else` without a preceding `when` block.',
+      node.start, node.start + 4,
+      'Place `else` / `else when` right after a `when { ... }` block.'
+    );
+  }
+}
+
+// `@each $a[, $b] in <lista>` / `@for $i from <a> through|to <b>`. Una cabecera mal formada
+// se reporta y el bucle queda sin variables (no genera nada)
+function parseLoopHeader(state, prelude, first, open) {
+  const rest = prelude.slice(prelude.indexOf(first) + 1);
+  const restSig = significant(rest);
+  const text = tokensText(rest);
+  const at = restSig.length ? restSig[0].start : open.start;
+
+  if (first.value === '@each') {
+    const m = text.match(EACH_HEADER);
+    if (!m) {
+      state.error('Malformed @each: expected `@each $item in (a, b, c) {`.', first.start, first.end,
+        'Write `@each $item in (a, b)` or `@each $key, $value in (a: 1, b: 2)`.');
+      return { type: 'each', vars: [], list: '', listStart: at };
+    }
+    return { type: 'each', vars: m[2] ? [m[1], m[2]] : [m[1]], list: m[3], listStart: at + text.length - m[3].length };
+  }
+
+  const m = text.match(FOR_HEADER);
+  if (!m) {
+    state.error('Malformed @for: expected `@for $i from 1 through 8 {`.', first.start, first.end,
+      'Write `@for $i from <start> through <end>` (or `to <end>` to leave the end out).');
+    return { type: 'for', var: null, from: '', to: '', inclusive: true, fromStart: at, toStart: at };
+  }
+  return {
+    type: 'for',
+    var: m[1],
+    from: m[2],
+    to: m[4],
+    inclusive: m[3] === 'through',
+    fromStart: at + text.indexOf(m[2], text.indexOf('from') + 4),
+    toStart: at + text.length - m[4].length
+  };
+}
+
+// Tokens entre el `(` de `openTok` y su `)` (con anidamiento); null si no se cierra antes de `stop`
+function parenContents(state, openTok, stop) {
+  const all = state.tokens;
+  const inner = [];
+  let depth = 1;
+  for (let i = all.indexOf(openTok) + 1; i < all.length && all[i] !== stop; i++) {
+    if (all[i].type === '(') depth++;
+    if (all[i].type === ')' && --depth === 0) return inner;
+    inner.push(all[i]);
+  }
+  return null;
+}
+
+function parseMixinHeader(state, sig, open) {
+  const node = { type: 'mixin', name: '', params: [], nameStart: sig[0].start };
+  const nameTok = sig[1];
+  if (nameTok && nameTok.type === 'word') {
+    node.name = nameTok.value;
+    node.nameStart = nameTok.start;
+  } else {
+    state.error('Malformed mixin header: missing mixin name.', sig[0].start, sig[0].end,
+      'Ensure you wrote: mixin name($a: default, ...) { ... }');
+    return node;
+  }
+  const openTok = sig[2];
+  if (!openTok) return node; // `mixin truncate { ... }`: sin parámetros
+  const inner = openTok.type === '(' ? parenContents(state, openTok, open) : null;
+  if (!inner) {
+    state.error('Malformed mixin header: expected `(...)` after the mixin name.', openTok.start, openTok.end,
+      'Ensure you wrote: mixin name($a: default, ...) { ... }');
+    return node;
+  }
+  node.params = parseParams(inner);
+  return node;
+}
+
+// `@include name`, `@include name(1px, $color: red)`; con bloque, el bloque es el slot (@content)
+function parseInclude(state, prelude, first) {
+  const sig = significant(prelude);
+  const at = sig.indexOf(first);
+  const nameTok = sig[at + 1];
+  const node = { type: 'include', name: '', args: [], argsText: '', argsStart: first.end };
+  if (!nameTok || nameTok.type !== 'word') {
+    state.error('Malformed @include: missing mixin name.', first.start, first.end, 'Write `@include name;` or `@include name(args);`.');
+    return node;
+  }
+  node.name = nameTok.value;
+  node.argsStart = nameTok.end;
+  const openTok = sig[at + 2];
+  if (!openTok) return node;
+  const inner = openTok.type === '(' ? parenContents(state, openTok, null) : null;
+  if (!inner) {
+    state.error('Malformed @include: expected `(arguments)` after the mixin name.', openTok.start, openTok.end,
+      'Write `@include name(1px, $color: red);`.');
+    return node;
+  }
+  const innerSig = significant(inner);
+  node.argsText = tokensText(inner);
+  node.argsStart = innerSig.length ? innerSig[0].start : openTok.end;
+  // argumentos: [{ name (null si es posicional), value, start, valueStart }]
+  for (const part of splitByComma(inner)) {
+    const partSig = significant(part);
+    if (!partSig.length) continue;
+    const text = tokensText(part);
+    const named = text.match(/^\$([a-zA-Z0-9_-]+)\s*:\s*([\s\S]*)$/);
+    const valueTok = named ? partSig[partSig.findIndex(t => t.type === ':') + 1] : partSig[0];
+    node.args.push({
+      name: named ? named[1] : null,
+      value: named ? named[2] : text,
+      start: partSig[0].start,
+      valueStart: valueTok ? valueTok.start : partSig[partSig.length - 1].end
+    });
+  }
+  return node;
+}
+
+function parseComponentHeader(state, sig, open) {
+  const node = { type: 'component', name: '', params: [], nameStart: sig[0].start };
+  const nameTok = sig[1];
+  if (nameTok && nameTok.type === 'word') {
+    node.name = nameTok.value;
+    node.nameStart = nameTok.start;
+  } else {
+    state.error(
+      'Malformed component header: missing component name.',
+      sig[0].start, sig[0].end,
+      'Ensure you wrote: component Name($a: default, ...) { ... }'
+    );
+  }
+
+  // `component Hijo extends Padre(...)`: la lista de parámetros es opcional con extends
+  const extendsTok = sig[2] && sig[2].type === 'word' && sig[2].value === 'extends' ? sig[2] : null;
+  if (extendsTok) {
+    const parentTok = sig[3];
+    if (parentTok && parentTok.type === 'word') {
+      node.extends = { name: parentTok.value, start: parentTok.start, end: parentTok.end };
+    } else {
+      state.error(
+        'Malformed component header: missing parent component after `extends`.',
+        extendsTok.start, extendsTok.end,
+        'Ensure you wrote: component Name extends Parent($a: default, ...) { ... }'
+      );
+    }
+  }
+
+  const parenOpenIdx = sig.findIndex(t => t.type === '(');
+  if (parenOpenIdx === -1 && extendsTok) return node;
+  if (parenOpenIdx === -1) {
+    state.error(
+      'Malformed component header: missing parameter list `(...)` before `{`.',
+      sig[0].start, sig[0].end,
+      'Ensure you wrote: component Name($a: default, ...) { ... }'
+    );
+    return node;
+  }
+
+  // ')' que cierra la lista (con anidamiento)
+  const all = state.tokens;
+  const openTok = sig[parenOpenIdx];
+  let i = all.indexOf(openTok) + 1;
+  let depth = 1;
+  const paramTokens = [];
+  for (; i < all.length && all[i] !== open; i++) {
+    if (all[i].type === '(') depth++;
+    if (all[i].type === ')') {
+      depth--;
+      if (depth === 0) break;
+    }
+    paramTokens.push(all[i]);
+  }
+  if (depth !== 0) {
+    state.error(
+      'Malformed component header: missing closing `)` for parameter list.',
+      openTok.start, openTok.end,
+      'Close the parameter list with `)` before the component body.'
+    );
+  }
+  node.params = parseParams(paramTokens);
+  return node;
+}
+
+// `@import { Button, Card as UiCard } from "./x.axcss";` — el `{` no abre un bloque. Lee hasta el `;`
+function parseSelectiveImport(state, first) {
+  const { tokens } = state;
+  const take = (stops) => {
+    const from = state.pos;
+    while (state.pos < tokens.length && !stops.includes(tokens[state.pos].type)) state.pos++;
+    return tokens.slice(from, state.pos);
+  };
+  const list = take(['}', '{', ';']);
+  const close = tokens[state.pos];
+  if (!close || close.type !== '}') {
+    state.error(`Malformed ${first.value}: missing \`}\` after the imported names.`, first.start, first.end, IMPORT_HINT);
+    return null;
+  }
+  state.pos++;
+  const rest = significant(take(['{', '}', ';']));
+  const semicolon = tokens[state.pos] && tokens[state.pos].type === ';' ? tokens[state.pos++] : null;
+  const end = semicolon ? semicolon.end : (rest.length ? rest[rest.length - 1].end : close.end);
+  const [from, pathTok, ...extra] = rest;
+  if (!from || from.type !== 'word' || from.value !== 'from' || !pathTok || pathTok.type !== 'string' || extra.length) {
+    state.error(`Malformed ${first.value}: expected \`from "<path>"\` after the imported names.`, first.start, end, IMPORT_HINT);
+    return null;
+  }
+
+  // Nombres: `Button`, `Card as UiCard`, separados por comas
+  const names = [];
+  const groups = [[]];
+  for (const tok of significant(list)) {
+    if (tok.type === ',') groups.push([]);
+    else groups[groups.length - 1].push(tok);
+  }
+  for (const group of groups) {
+    if (!group.length && groups.length === 1) break;
+    const [nameTok, as, alias] = group;
+    const valid = nameTok && IDENTIFIER.test(nameTok.value) && (group.length === 1
+      || (group.length === 3 && as.value === 'as' && IDENTIFIER.test(alias.value)));
+    if (!valid) {
+      const at = nameTok ?? close;
+      state.error(`Malformed ${first.value}: expected a component or mixin name (optionally \`Name as Alias\`).`, at.start, at.end, IMPORT_HINT);
+      continue;
+    }
+    names.push({ name: nameTok.value, ...(alias ? { as: alias.value } : {}), start: nameTok.start });
+  }
+  if (groups.length === 1 && !groups[0].length) state.error(`Empty ${first.value} list: name at least one component or mixin.`, first.start, close.end, IMPORT_HINT);
+
+  return {
+    type: 'import',
+    path: unquote(pathTok.value),
+    pathStart: pathTok.start,
+    ...(first.value === '@use' ? { use: true } : {}),
+    names,
+    start: first.start,
+    end,
+    semicolon: Boolean(semicolon)
+  };
+}
+
+function parseStatement(state, ctx, prelude, semicolon) {
+  const sig = significant(prelude);
+  if (!sig.length) return null;
+  const first = sig[0];
+  const last = sig[sig.length - 1];
+  const start = first.start;
+  const end = semicolon ? semicolon.end : last.end;
+  const base = { start, end, semicolon: Boolean(semicolon) };
+
+  if (first.type === 'at-word') {
+    const name = first.value.slice(1);
+    if ((name === 'import' || name === 'use') && sig[1] && sig[1].type === 'string') {
+      const node = { type: 'import', path: unquote(sig[1].value), pathStart: sig[1].start, ...(name === 'use' ? { use: true } : {}), ...base };
+      if (sig.length === 2) return node;
+      // `as ui`: los componentes y mixins del fichero quedan como ui.Button / ui.truncate
+      const [as, namespace, ...extra] = sig.slice(2);
+      if (as.type !== 'word' || as.value !== 'as' || !namespace || !IDENTIFIER.test(namespace.value) || extra.length) {
+        state.error(`Malformed @${name}: expected \`as <namespace>\` after the path.`, as.start, last.end, IMPORT_HINT);
+        return node;
+      }
+      return { ...node, namespace: namespace.value, namespaceStart: namespace.start };
+    }
+    if (name === 'include') return { ...parseInclude(state, prelude, first), children: null, ...base };
+    if (name === 'content' && sig.length === 1) return { type: 'content', ...base };
+    return { type: 'atrule', name, params: tokensText(prelude.slice(prelude.indexOf(first) + 1)), children: null, ...base };
+  }
+
+  const colonIdx = prelude.findIndex(t => t.type === ':');
+  if (colonIdx > 0 && significant(prelude.slice(0, colonIdx)).length) {
+    const valueTokens = prelude.slice(colonIdx + 1);
+    const valueSig = significant(valueTokens);
+    const prop = tokensText(prelude.slice(0, colonIdx));
+    const value = tokensText(valueTokens);
+    const valueStart = valueSig.length ? valueSig[0].start : prelude[colonIdx].end;
+    if (ctx.top && /^\$[a-zA-Z0-9_-]+$/.test(prop)) {
+      return { type: 'variable', name: prop.slice(1), value, valueStart, ...base };
+    }
+    return { type: 'decl', prop, value, valueStart, ...base };
+  }
+
+  return { type: 'raw', text: tokensText(prelude), ...base };
+}
+
+// ----------------- Instancias -----------------
+// 'Button.primary' -> { componentName, instanceName } (null si el selector no tiene esa forma)
+export function instanceSelector(selector) {
+  const m = selector.match(INSTANCE_SELECTOR);
+  return m ? { componentName: m[1] ? `${m[1]}.${m[2]}` : m[2], instanceName: m[3] } : null;
+}
+
+/**
+ * Convierte en `instance` las reglas de nivel superior con forma `Name.instance`
+ * (o `ns.Name.instance`, de un `@import ... as ns`) cuando Name es un componente conocido o empieza
+ * por mayúscula (convención PascalCase).
+ * Así `div.card { }` o `a.active { }` siguen siendo CSS normal.
+ * Se puede volver a llamar con los componentes importados.
+ */
+export function resolveInstances(ast, componentNames = new Set()) {
+  for (const node of ast.children) {
+    if (node.type !== 'rule' || !node.instanceOf) continue;
+    const { componentName, instanceName } = node.instanceOf;
+    // `ui.Button.primary`: la convención se mira en el nombre del componente, no en el namespace
+    if (!componentNames.has(componentName) && !/^[A-Z]/.test(componentName.split('.').pop())) continue;
+    node.type = 'instance';
+    node.componentName = componentName;
+    node.instanceName = instanceName;
+    node.props = node.children
+      .filter(c => c.type === 'decl' && c.prop.startsWith('$'))
+      .map(c => ({ name: c.prop.slice(1), value: unquote(c.value), start: c.start, end: c.end, valueStart: c.valueStart }));
+  }
+  return ast;
+}
+
+// Parsea el cuerpo de un componente suelto (p.ej. definiciones construidas a mano con `body`)
+export function parseComponentBody(body) {
+  const { tokens, errors } = tokenize(body);
+  const state = { source: body, tokens, pos: 0, errors, error: (message, start, end) => errors.push({ message, start, end }) };
+  return { children: parseBlockContents(state, { top: false, inComponent: true }, null).nodes, errors };
+}
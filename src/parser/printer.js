@@ -0,0 +1,208 @@
+// printer.js
+// Formateador de .axcss (`axcss format`). Trabaja sobre los tokens del tokenizer, así que
+// conserva todo lo que no es espacio: comentarios (también dentro de valores y cabeceras),
+// strings, url(...) e interpolaciones `#{}` salen tal cual.
+//
+// Estilo:
+//   - una sentencia por línea, indentación de 2 espacios, `;` en todas las declaraciones
+//   - `prop: value`, `, ` entre argumentos / parámetros, `$a: 1` en cabeceras (también `$a = 1`) y @include
+//   - `@import { A, B } from "./x";` en una línea
+//   - `component Name($a: 1)` / `@include name(...)` sin espacio antes de `(`
+//   - un selector por línea en las listas (`a,\nb {`), `} else when ... {` en la misma línea
+//   - líneas en blanco: como mucho una seguida; siempre una tras un bloque de nivel superior
+// Es idempotente: format(format(x)) === format(x).
+
+import { tokenize } from './tokenizer.js';
+import { parse, lineColumn } from './parser.js';
+
+const INDENT = '  ';
+
+// ----------------- Texto de una secuencia de tokens -----------------
+
+/**
+ * Une tokens normalizando espacios: uno como mucho, ninguno tras `(` ni antes de `)` o `,`,
+ * uno tras `,`. colonSpace: también `: ` (valores, cabeceras; nunca en selectores: `a:hover`).
+ * tightParen: sin espacio antes del primer `(` (`component Name(`, `@include name(`).
+ */
+function printTokens(tokens, { colonSpace = false, tightParen = false } = {}) {
+  let text = '';
+  let space = false;
+  let firstParen = true;
+  for (const t of tokens) {
+    if (t.type === 'space') {
+      space = true;
+      continue;
+    }
+    const glue = t.type === ')' || t.type === ',' || (colonSpace && t.type === ':')
+      || (t.type === '(' && tightParen && firstParen) || text.endsWith('(');
+    if (text && space && !glue) text += ' ';
+    text += t.value;
+    space = t.type === ',' || (colonSpace && t.type === ':');
+    if (t.type === '(') firstParen = false;
+  }
+  return text.trim();
+}
+
+const significant = (tokens) => tokens.filter(t => t.type !== 'space' && t.type !== 'comment');
+
+// Divide por comas de nivel 0 (`:is(a, b)` no se parte)
+function splitByComma(tokens) {
+  const parts = [[]];
+  let depth = 0;
+  for (const t of tokens) {
+    if (t.type === '(') depth++;
+    if (t.type === ')') depth--;
+    if (t.type === ',' && depth === 0) parts.push([]);
+    else parts[parts.length - 1].push(t);
+  }
+  return parts;
+}
+
+// Declaración, variable, @import / @include / @content o sentencia suelta (sin el `;`)
+function printStatement(tokens) {
+  const first = significant(tokens)[0];
+  if (first.type === 'at-word') {
+    const rest = printTokens(tokens.slice(tokens.indexOf(first) + 1), { colonSpace: true, tightParen: first.value === '@include' });
+    return rest ? `${first.value} ${rest}` : first.value;
+  }
+  const colon = tokens.findIndex(t => t.type === ':');
+  if (colon > 0) {
+    const prop = printTokens(tokens.slice(0, colon));
+    const value = printTokens(tokens.slice(colon + 1), { colonSpace: true });
+    return value ? `${prop}: ${value}` : `${prop}:`;
+  }
+  return printTokens(tokens);
+}
+
+// Cabecera de un bloque (sin el `{`); las listas de selectores devuelven una línea por selector
+function printHeader(tokens, top) {
+  const first = significant(tokens)[0];
+  if (first.type === 'at-word') return [printStatement(tokens)];
+  if (first.type === 'word' && ['when', 'else'].includes(first.value)) return [printTokens(tokens, { colonSpace: true })];
+  if (top && first.type === 'word' && ['component', 'mixin'].includes(first.value)) {
+    // `$a = 1` / `$a=1` -> `$a: 1` (el parser acepta las dos formas)
+    return [printTokens(tokens, { colonSpace: true, tightParen: true }).replace(/([(,]\s*\$[\w-]+)\s*=\s*/g, '$1: ')];
+  }
+  const selectors = splitByComma(tokens).map(part => printTokens(part)).filter(Boolean);
+  return selectors.map((s, i) => (i < selectors.length - 1 ? `${s},` : s));
+}
+
+// ----------------- Formateador -----------------
+
+/**
+ * Formatea un fuente .axcss.
+ * Devuelve { code, errors }: con errores de sintaxis (los del parser, con line / column) no se
+ * toca el fichero y code es null.
+ */
+export function format(source) {
+  const { errors } = parse(source);
+  if (errors.length) {
+    return { code: null, errors: errors.map(e => ({ ...e, ...lineColumn(source, e.start) })) };
+  }
+
+  const { tokens } = tokenize(source);
+  const lines = [];
+  let depth = 0;
+  let buffer = [];             // tokens de la sentencia / cabecera en curso
+  let blankBefore = false;     // línea en blanco en el fuente antes del siguiente elemento
+  let newlineSeen = true;      // salto de línea desde el último elemento emitido
+  let afterTopBlock = false;   // el último elemento fue un bloque de nivel superior
+
+  const indent = () => INDENT.repeat(depth);
+  const last = () => lines[lines.length - 1];
+
+  // Nueva línea de elemento, con la línea en blanco que toque antes
+  const emit = (text) => {
+    const opensBlock = lines.length && last().endsWith('{');
+    if (lines.length && !opensBlock && (blankBefore || (afterTopBlock && depth === 0))) lines.push('');
+    lines.push(indent() + text);
+    blankBefore = false;
+    afterTopBlock = false;
+    newlineSeen = false;
+  };
+
+  const flushStatement = () => {
+    if (buffer.length) emit(`${printStatement(buffer)};`);
+    buffer = [];
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+
+    if (tok.type === 'space') {
+      if (buffer.length) {
+        buffer.push(tok);
+      } else if (tok.value.includes('\n')) {
+        newlineSeen = true;
+        if ((tok.value.match(/\n/g) ?? []).length > 1) blankBefore = true;
+      }
+      continue;
+    }
+
+    // Comentario suelto; si va en la misma línea que lo anterior, se queda en esa línea
+    if (tok.type === 'comment' && !buffer.length) {
+      if (!newlineSeen && lines.length) lines[lines.length - 1] += ` ${tok.value}`;
+      else emit(tok.value);
+      continue;
+    }
+
+    if (tok.type === ';') {
+      flushStatement();
+      continue;
+    }
+
+    if (tok.type === '{') {
+      // `@import { A, B } from "./x";`: las llaves no abren un bloque
+      const sig = significant(buffer);
+      if (sig.length === 1 && (sig[0].value === '@import' || sig[0].value === '@use')) {
+        let end = i;
+        while (end < tokens.length && tokens[end].type !== ';') end++;
+        const inner = tokens.slice(i + 1, end);
+        const close = inner.findIndex(t => t.type === '}');
+        const names = splitByComma(inner.slice(0, close)).map(part => printTokens(part)).filter(Boolean);
+        emit(`${sig[0].value} { ${names.join(', ')} } ${printTokens(inner.slice(close + 1))};`);
+        buffer = [];
+        i = end;
+        continue;
+      }
+      const header = printHeader(buffer, depth === 0);
+      buffer = [];
+      const isElse = header.length === 1 && /^else\b/.test(header[0]);
+      if (isElse && lines.length && last().endsWith('}')) {
+        lines[lines.length - 1] += ` ${header[0]} {`;
+        blankBefore = false;
+        newlineSeen = false;
+      } else {
+        header[header.length - 1] += ' {';
+        emit(header[0]);
+        for (const text of header.slice(1)) lines.push(indent() + text);
+      }
+      // Bloque vacío: `a {}`
+      let next = i + 1;
+      while (tokens[next] && tokens[next].type === 'space') next++;
+      if (tokens[next] && tokens[next].type === '}') {
+        lines[lines.length - 1] += '}';
+        i = next;
+        afterTopBlock = depth === 0;
+        continue;
+      }
+      depth++;
+      continue;
+    }
+
+    if (tok.type === '}') {
+      flushStatement();
+      depth--;
+      blankBefore = false;
+      lines.push(`${indent()}}`);
+      newlineSeen = false;
+      afterTopBlock = depth === 0;
+      continue;
+    }
+
+    buffer.push(tok);
+  }
+  flushStatement();
+
+  return { code: lines.length ? `${lines.join('\n')}\n` : '', errors: [] };
+}
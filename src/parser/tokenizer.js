@@ -0,0 +1,139 @@
+// tokenizer.js
+// Lexer para la gramática .axcss. Cada token conserva offsets exactos en el fuente:
+// { type, value, start, end } (end exclusivo).
+//
+// Tipos: 'space', 'comment', 'string', 'url', 'word', 'at-word',
+//        '{', '}', '(', ')', ';', ':', ','
+// `url(...)` sin comillas se emite como un único token para que `;`, `{` o `}`
+// dentro de data URIs no rompan el parser. Strings y comentarios igual.
+// La interpolación `#{...}` forma parte de la palabra: `.mt-#{$i}`, `Button.#{$size}`.
+
+const SINGLE_CHAR_TOKENS = new Set(['{', '}', '(', ')', ';', ':', ',']);
+const WORD_END = /[\s{}();:,"'\\/]/;
+
+const isSpace = (ch) => ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\f';
+
+// Índice de la `}` que cierra una interpolación abierta en `from` (llaves anidadas y strings), o -1
+function interpolationEnd(source, from) {
+  let depth = 1;
+  for (let i = from; i < source.length; i++) {
+    const c = source[i];
+    if (c === '"' || c === "'") {
+      const close = source.indexOf(c, i + 1);
+      if (close === -1) return -1;
+      i = close;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}' && --depth === 0) {
+      return i;
+    } else if (c === '\n' || c === ';') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Convierte `source` en tokens.
+ * Devuelve { tokens, errors }; errors: [{ message, start, end }] (strings / comentarios sin cerrar).
+ */
+export function tokenize(source) {
+  const tokens = [];
+  const errors = [];
+  const len = source.length;
+  let i = 0;
+
+  const push = (type, start, end) => tokens.push({ type, value: source.slice(start, end), start, end });
+
+  while (i < len) {
+    const ch = source[i];
+    const start = i;
+
+    if (isSpace(ch)) {
+      while (i < len && isSpace(source[i])) i++;
+      push('space', start, i);
+      continue;
+    }
+
+    if (ch === '/' && source[i + 1] === '*') {
+      const close = source.indexOf('*/', i + 2);
+      if (close === -1) {
+        errors.push({ message: 'Unclosed comment (missing `*/`).', start, end: len });
+        i = len;
+      } else {
+        i = close + 2;
+      }
+      push('comment', start, i);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      i++;
+      let closed = false;
+      while (i < len) {
+        const c = source[i];
+        if (c === '\\') { i += 2; continue; }
+        if (c === ch) { i++; closed = true; break; }
+        if (c === '\n') break;
+        i++;
+      }
+      if (!closed) errors.push({ message: 'Unclosed string.', start, end: i });
+      push('string', start, Math.min(i, len));
+      continue;
+    }
+
+    if (SINGLE_CHAR_TOKENS.has(ch)) {
+      i++;
+      push(ch, start, i);
+      continue;
+    }
+
+    if (ch === '@') {
+      i++;
+      while (i < len && /[\w-]/.test(source[i])) i++;
+      push('at-word', start, i);
+      continue;
+    }
+
+    // word: todo hasta el siguiente separador. '/' y '\' sólo cortan si abren comentario.
+    while (i < len) {
+      const c = source[i];
+      if (c === '\\') { i += 2; continue; }
+      if (c === '/' && source[i + 1] !== '*') { i++; continue; }
+      if (c === '#' && source[i + 1] === '{') {
+        const close = interpolationEnd(source, i + 2);
+        if (close === -1) {
+          errors.push({ message: 'Unclosed interpolation `#{` (missing `}`).', start: i, end: i + 2 });
+          i += 2;
+          continue;
+        }
+        i = close + 1;
+        continue;
+      }
+      if (WORD_END.test(c)) break;
+      i++;
+    }
+    if (i === start) i++; // '/' suelto seguido de algo raro: avanzar siempre
+
+    // url( ... ) sin comillas -> un solo token
+    if (/^url$/i.test(source.slice(start, i)) && source[i] === '(') {
+      let j = i + 1;
+      while (j < len && isSpace(source[j])) j++;
+      if (source[j] !== '"' && source[j] !== "'") {
+        const close = source.indexOf(')', j);
+        if (close === -1) {
+          errors.push({ message: 'Unclosed `url(`.', start, end: len });
+          i = len;
+        } else {
+          i = close + 1;
+        }
+        push('url', start, i);
+        continue;
+      }
+    }
+
+    push('word', start, i);
+  }
+
+  return { tokens, errors };
+}
@@ -0,0 +1,237 @@
+// colorFunctions.js
+// Funciones de color en tiempo de compilación (built-ins de expressions.js):
+//   lighten($c, 10%)  darken($c, 10%)  saturate($c, 20%)  complement($c)
+//   mix($a, $b, 25%)  alpha($c, .5) / rgba($c, .5)  alpha($c) -> 0..1
+//   contrast($bg)  contrast($bg, #222, #fafafa) -> el color (oscuro o claro) más legible sobre $bg
+// Aceptan hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(), hsl()/hsla() y colores con nombre.
+// El resultado es #rrggbb (o rgba(r, g, b, a) si tiene transparencia).
+
+const NAMED_COLORS = Object.fromEntries(`
+aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc bisque:ffe4c4
+black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a burlywood:deb887 cadetblue:5f9ea0
+chartreuse:7fff00 chocolate:d2691e coral:ff7f50 cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff
+darkblue:00008b darkcyan:008b8b darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9
+darkkhaki:bdb76b darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000
+darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f darkslategrey:2f4f4f
+darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff dimgray:696969 dimgrey:696969
+dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc
+ghostwhite:f8f8ff gold:ffd700 goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080
+honeydew:f0fff0 hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa
+lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 lightcyan:e0ffff
+lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 lightpink:ffb6c1
+lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa lightslategray:778899 lightslategrey:778899
+lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000
+mediumaquamarine:66cdaa mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371
+mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585
+midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead navy:000080
+oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa
+palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093 papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f
+pink:ffc0cb plum:dda0dd powderblue:b0e0e6 purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f
+royalblue:4169e1 saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee
+sienna:a0522d silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa
+springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 turquoise:40e0d0
+violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 yellow:ffff00 yellowgreen:9acd32
+`.trim().split(/\s+/).map(pair => pair.split(':')));
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+// ----------------- Parseo -----------------
+function parseHex(hex) {
+  let h = hex.slice(1);
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(h)) return null;
+  if (h.length <= 4) h = [...h].map(c => c + c).join('');
+  const n = (i) => parseInt(h.slice(i, i + 2), 16);
+  return { r: n(0), g: n(2), b: n(4), a: h.length === 8 ? n(6) / 255 : 1 };
+}
+
+// '50%' -> 0.5 * scale, '128' -> 128; null si no es un número
+function channel(text, scale) {
+  const m = String(text).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+))(%|deg|rad|turn|grad)?$/i);
+  if (!m) return null;
+  const value = parseFloat(m[1]);
+  const unit = (m[2] || '').toLowerCase();
+  if (unit === '%') return (value / 100) * scale;
+  if (unit === 'rad') return (value * 180) / Math.PI;
+  if (unit === 'turn') return value * 360;
+  if (unit === 'grad') return value * 0.9;
+  return value;
+}
+
+// 'rgb(0, 0, 0)', 'rgb(0 0 0 / 50%)' -> ['0', '0', '0', '50%']
+function functionArgs(inner) {
+  const [main, slashAlpha] = inner.split('/');
+  const parts = main.includes(',') ? main.split(',') : main.trim().split(/\s+/);
+  if (slashAlpha !== undefined) parts.push(slashAlpha);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Convierte un color CSS en { r, g, b, a } (r/g/b 0..255, a 0..1) o null si no es un color.
+ */
+export function parseColor(text) {
+  const value = String(text ?? '').trim().toLowerCase();
+  if (!value) return null;
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (NAMED_COLORS[value]) return parseHex(`#${NAMED_COLORS[value]}`);
+  if (value.startsWith('#')) return parseHex(value);
+
+  const m = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (!m) return null;
+  const args = functionArgs(m[2]);
+  if (args.length !== 3 && args.length !== 4) return null;
+  const a = args.length === 4 ? channel(args[3], 1) : 1;
+  if (a === null) return null;
+
+  if (m[1].startsWith('rgb')) {
+    const [r, g, b] = args.slice(0, 3).map(x => channel(x, 255));
+    if ([r, g, b].some(x => x === null)) return null;
+    return { r: clamp(r, 0, 255), g: clamp(g, 0, 255), b: clamp(b, 0, 255), a: clamp(a, 0, 1) };
+  }
+  const h = channel(args[0], 360);
+  const s = channel(args[1], 100);
+  const l = channel(args[2], 100);
+  if ([h, s, l].some(x => x === null)) return null;
+  return { ...hslToRgb({ h, s, l }), a: clamp(a, 0, 1) };
+}
+
+// ----------------- Conversiones -----------------
+function rgbToHsl({ r, g, b }) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l: l * 100 };
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+  return { h: h * 60, s: s * 100, l: l * 100 };
+}
+
+function hslToRgb({ h, s, l }) {
+  const hn = (((h % 360) + 360) % 360) / 360;
+  const sn = clamp(s, 0, 100) / 100;
+  const ln = clamp(l, 0, 100) / 100;
+  if (sn === 0) return { r: ln * 255, g: ln * 255, b: ln * 255 };
+  const q = ln < 0.5 ? ln * (1 + sn) : ln + sn - ln * sn;
+  const p = 2 * ln - q;
+  const hue = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return { r: hue(hn + 1 / 3) * 255, g: hue(hn) * 255, b: hue(hn - 1 / 3) * 255 };
+}
+
+export function formatColor({ r, g, b, a = 1 }) {
+  const [rr, gg, bb] = [r, g, b].map(v => clamp(Math.round(v), 0, 255));
+  if (a >= 1) return `#${[rr, gg, bb].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+  return `rgba(${rr}, ${gg}, ${bb}, ${Math.round(clamp(a, 0, 1) * 1000) / 1000})`;
+}
+
+// Luminancia relativa y contraste WCAG
+function luminance({ r, g, b }) {
+  const lin = (v) => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+// ----------------- Funciones -----------------
+function adjustHsl(color, key, delta) {
+  const hsl = rgbToHsl(color);
+  hsl[key] = key === 'h' ? hsl.h + delta : clamp(hsl[key] + delta, 0, 100);
+  return { ...hslToRgb(hsl), a: color.a };
+}
+
+// Cantidad: '10%' o '10' -> 10 (puntos porcentuales)
+function percentAmount(arg, fn) {
+  const value = channel(arg, 100);
+  if (value === null) throw new Error(`${fn}() expects an amount like 10%, got '${arg}'.`);
+  return value;
+}
+
+// Opacidad: '.5' o '50%' -> 0.5
+function alphaAmount(arg, fn) {
+  const value = channel(arg, 1);
+  if (value === null) throw new Error(`${fn}() expects an opacity like .5 or 50%, got '${arg}'.`);
+  return clamp(value, 0, 1);
+}
+
+/**
+ * Definición de cada función: colors = posiciones de los argumentos que deben ser colores,
+ * args = [mínimo, máximo]. apply(args: string[], colors: {índice: color}) devuelve el texto CSS,
+ * o null para emitir la función CSS tal cual (rgba(0, 0, 0, .5) es CSS nativo).
+ */
+export const COLOR_FUNCTIONS = {
+  lighten: { colors: [0], args: [2, 2], apply: (a, c) => formatColor(adjustHsl(c[0], 'l', percentAmount(a[1], 'lighten'))) },
+  darken: { colors: [0], args: [2, 2], apply: (a, c) => formatColor(adjustHsl(c[0], 'l', -percentAmount(a[1], 'darken'))) },
+  saturate: { colors: [0], args: [2, 2], apply: (a, c) => formatColor(adjustHsl(c[0], 's', percentAmount(a[1], 'saturate'))) },
+  complement: { colors: [0], args: [1, 1], apply: (a, c) => formatColor(adjustHsl(c[0], 'h', 180)) },
+  mix: {
+    colors: [0, 1],
+    args: [2, 3],
+    apply: (a, c) => {
+      const w = a[2] === undefined ? 0.5 : clamp(percentAmount(a[2], 'mix') / 100, 0, 1);
+      const blend = (k) => c[0][k] * w + c[1][k] * (1 - w);
+      return formatColor({ r: blend('r'), g: blend('g'), b: blend('b'), a: blend('a') });
+    }
+  },
+  alpha: {
+    colors: [0],
+    args: [1, 2],
+    apply: (a, c) => (a.length === 1 ? String(Math.round(c[0].a * 1000) / 1000) : formatColor({ ...c[0], a: alphaAmount(a[1], 'alpha') }))
+  },
+  // rgba($color, .5); con 3 o 4 argumentos es el rgba() nativo de CSS
+  rgba: { colors: [0], args: [2, 2], native: true, apply: (a, c) => formatColor({ ...c[0], a: alphaAmount(a[1], 'rgba') }) },
+  contrast: {
+    colors: [0, 1, 2],
+    args: [1, 3],
+    apply: (a, c) => {
+      const dark = c[1] || parseColor('#000');
+      const light = c[2] || parseColor('#fff');
+      return formatColor(contrastRatio(c[0], dark) >= contrastRatio(c[0], light) ? dark : light);
+    }
+  }
+};
+
+/**
+ * Aplica una función de color a sus argumentos (textos ya evaluados).
+ * Lanza Error con un mensaje legible si un color o una cantidad no son válidos;
+ * error.arg es la posición del argumento culpable (si se conoce).
+ */
+export function applyColorFunction(name, args) {
+  const def = COLOR_FUNCTIONS[name];
+  if (def.native && (args.length < def.args[0] || args.length > def.args[1])) return null;
+  if (args.length < def.args[0] || args.length > def.args[1]) {
+    const expected = def.args[0] === def.args[1] ? def.args[0] : `${def.args[0]}-${def.args[1]}`;
+    throw new Error(`${name}() expects ${expected} argument(s), got ${args.length}.`);
+  }
+  const colors = {};
+  for (const idx of def.colors) {
+    if (args[idx] === undefined) continue;
+    const color = parseColor(args[idx]);
+    if (!color) {
+      if (def.native) return null;
+      throw Object.assign(new Error(`${name}(): '${args[idx]}' is not a valid color.`), { arg: idx });
+    }
+    colors[idx] = color;
+  }
+  try {
+    return def.apply(args, colors);
+  } catch (err) {
+    // las cantidades (10%, .5) siempre son el último argumento
+    throw Object.assign(err, { arg: args.length - 1 });
+  }
+}
@@ -1,9 +1,23 @@
 // componentProcessor.js
 import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import postcss, { Input } from 'postcss';
 import { logger } from '../utils/colors.js';
+import { classNameHash, formatClassName } from '../utils/config.js';
+import { parse, parseComponentBody, resolveInstances, instanceSelector, lineColumn } from '../parser/parser.js';
+import { resolveInheritance } from './inheritance.js';
+import { parseCondition, evaluateCondition, walkCondition, compareValues, ORDERING_OPERATORS } from './conditions.js';
+import { evaluateValue, interpolate, parseValue, walkValue } from './expressions.js';
+import { COLOR_FUNCTIONS, parseColor } from './colorFunctions.js';
+import { loopBindings, LoopError } from './loops.js';
+import { bindMixinArguments, checkMixinCall, fillSlot, findMixinCycles } from './mixins.js';
+import { minify } from './minify.js';
+import { createPurgeFilter } from '../utils/purge.js';
+import { resolveImportPath, ResolveError, TOKEN_FILE } from '../utils/resolve.js';
+import { hashContent } from '../utils/cache.js';
 
 // ----------------- Helpers -----------------
-const isWhitespace = (ch) => /\s/.test(ch);
 const escapeForRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 export function stripCssComments(cssContent) {
@@ -11,201 +25,125 @@ export function stripCssComments(cssContent) {
   return cssContent.replace(/\/\*[\s\S]*?\*\//g, '').trim();
 }
 
-import path from 'path';
-
-// ----------------- IMPORTS: regex y utilidad para quitar @import del CSS final -----------------
-const IMPORT_REGEX = /@import\s+['"]([^'"]+)['"]\s*;?/g;
-
+// ----------------- IMPORTS: utilidad para quitar @import del CSS final -----------------
 export function stripImportStatements(content) {
   if (!content) return '';
   // elimina todas las líneas que empiecen por @import
   return content.replace(/^\s*@import[^\n]*$/gmi, '').trim();
 }
 
-
-/**
- * Carga recursivamente definiciones `component` desde filePath y sus imports.
- * Devuelve Map<componentName, componentDef>.
- * - visited previene ciclos.
- * - Si un componente local tiene el mismo nombre que uno importado, el local sobrescribe.
- */
-async function loadComponentsFromFile(filePath, visited = new Set()) {
-  const components = new Map();
-  const absPath = path.resolve(filePath);
-
-  visited.add(absPath);
-
-  let content;
-  try {
-    content = await fs.readFile(absPath, 'utf8');
-  } catch (err) {
-    logger.warning(`Import file not found: ${filePath} (${absPath}) — skipping import.`);
-    return components;
-  }
-
-  // Resolver imports recursivamente
-  let m;
-  IMPORT_REGEX.lastIndex = 0;
-  while ((m = IMPORT_REGEX.exec(content)) !== null) {
-    let importPath = m[1].trim();
-    if (!importPath.endsWith('.axcss')) importPath += '.axcss';
-    const resolved = path.resolve(path.dirname(absPath), importPath);
-    const importedMap = await loadComponentsFromFile(resolved, visited);
-    for (const [name, def] of importedMap) {
-      if (!components.has(name)) components.set(name, def);
+// ----------------- Construir mapa de props efectivas (instance override defaults) -----------------
+// report(message, where?): por defecto logger.error; la API lo redirige a diagnostics
+// Los valores se evalúan en orden: `$gap: $size / 2` puede usar los parámetros anteriores
+// y las variables globales (`$color: $brand`). Un parámetro sin valor toma la global del mismo nombre.
+// scope: variables del @each / @for que generó la instancia (sólo para los valores de la instancia)
+function buildMergedProps(componentParams, instanceProps, componentName, instanceName, report = logger.error, globals = {}, scope = {}) {
+  const merged = {};
+  for (const param of componentParams) {
+    const name = param.name;
+    let raw;
+    let vars;
+    if (instanceProps && Object.prototype.hasOwnProperty.call(instanceProps, name)) {
+      raw = instanceProps[name];
+      vars = { ...globals, ...merged, ...scope };
+    } else if (param.defaultValue !== undefined) {
+      raw = param.defaultValue;
+    } else if (Object.prototype.hasOwnProperty.call(globals, name)) {
+      merged[name] = globals[name];
+      continue;
+    } else {
+      // Si no hay value en instancia ni default en componente -> error
+      report(`Default value not defined for $${name} in instance ${componentName}.${instanceName}`);
+      continue;
     }
-  }
-
-  // Parsear componentes del archivo actual y añadir (sobrescriben imports)
-  try {
-    const defs = parseComponentDefinition(content);
-    for (const def of defs) {
-      def.__source = absPath; // metadata opcional
-      components.set(def.name, def);
+    try {
+      merged[name] = evaluateValue(raw, vars ?? { ...globals, ...merged });
+    } catch (err) {
+      report(`Invalid value '${raw}' for $${name} in instance ${componentName}.${instanceName}: ${err.message}`);
+      merged[name] = raw;
     }
-  } catch (err) {
-    console.warn(`⚠️ Failed parsing components from ${absPath}: ${err.message}`);
   }
+  return merged;
+}
 
-  return components;
+// ----------------- Definiciones e instancias a partir del AST -----------------
+function mixinFromNode(node) {
+  return {
+    name: node.name,
+    params: node.params.map(p => ({ name: p.name, defaultValue: p.defaultValue })),
+    children: node.children,
+    node
+  };
 }
 
-// Extrae un bloque balanceado { ... } empezando en startIndex (donde debe haber '{')
-function extractBlock(content, startIndex) {
-  if (content[startIndex] !== '{') return { block: null, end: startIndex };
-  let depth = 0;
-  let i = startIndex;
-  for (; i < content.length; i++) {
-    const ch = content[i];
-    if (ch === '{') depth++;
-    else if (ch === '}') {
-      depth--;
-      if (depth === 0) {
-        return { block: content.slice(startIndex + 1, i), end: i + 1 };
-      }
-    }
+// Enlaza cada @include (a cualquier profundidad) con su definición: `node.mixin`
+function linkMixins(nodes, mixins) {
+  for (const node of nodes) {
+    if (node.type === 'include') node.mixin = mixins.get(node.name);
+    if (node.children) linkMixins(node.children, mixins);
   }
-  return { block: null, end: content.length };
 }
 
-function cleanBlockString(s) {
-  return s.replace(/^\s+|\s+$/g, '');
+function componentFromNode(node, source) {
+  return {
+    name: node.name,
+    params: node.params.map(p => ({ name: p.name, defaultValue: p.defaultValue })),
+    body: source.slice(node.bodyStart, node.bodyEnd).trim(),
+    extends: node.extends ? node.extends.name : undefined,
+    index: node.start,
+    node
+  };
 }
-// ----------------- Parse parameters (soporta ':' y '=') -----------------
-function parseParamList(paramsStr) {
-    if (!paramsStr || !paramsStr.trim()) return [];
-    return paramsStr.split(',').map(p => {
-      const raw = p.trim();
-      if (!raw) return null;
-  
-      // soportar tanto 'name = default' como 'name: default'
-      let name, defaultValue;
-      if (raw.includes('=')) {
-        const parts = raw.split('=');
-        name = parts[0].trim().replace(/^\$/, '');
-        defaultValue = parts.slice(1).join('=').trim().replace(/^['"]|['"]$/g, '');
-      } else if (raw.includes(':')) {
-        const parts = raw.split(':');
-        name = parts[0].trim().replace(/^\$/, '');
-        defaultValue = parts.slice(1).join(':').trim().replace(/^['"]|['"]$/g, '');
-      } else {
-        name = raw.replace(/^\$/, '');
-        defaultValue = undefined;
-      }
-  
-      return { name, defaultValue };
-    }).filter(Boolean);
-  }
-  
-  // ----------------- Construir mapa de props efectivas (instance override defaults) -----------------
-  function buildMergedProps(componentParams, instanceProps, componentName, instanceName) {
-    const merged = {};
-    for (const param of componentParams) {
-      const name = param.name;
-      if (instanceProps && Object.prototype.hasOwnProperty.call(instanceProps, name)) {
-        merged[name] = instanceProps[name];
-      } else if (param.defaultValue !== undefined) {
-        merged[name] = param.defaultValue;
-      } else {
-        // Si no hay value en instancia ni default en componente -> error
-        logger.error(`Default value not defined for $${name} in instance ${componentName}.${instanceName}`);
-      }
-    }
-    return merged;
+
+// Aplica la herencia (`extends`) a un Map de definiciones: params y children quedan aplanados
+function applyInheritance(components) {
+  const { resolved } = resolveInheritance(components);
+  for (const [name, entry] of resolved) {
+    const def = components.get(name);
+    def.params = entry.params.map(p => ({ name: p.name, defaultValue: p.defaultValue }));
+    def.children = entry.children;
   }
+  return components;
+}
+
+function instanceFromNode(node, source) {
+  const props = {};
+  for (const p of node.props) props[p.name] = p.value;
+  return {
+    componentName: node.componentName,
+    instanceName: node.instanceName,
+    props,
+    rawBody: source.slice(node.bodyStart, node.bodyEnd).trim(),
+    index: node.start,
+    endIndex: node.end - 1,
+    scope: node.scope,
+    node
+  };
+}
+
 // ----------------- Parse component definitions -----------------
 export function parseComponentDefinition(content) {
-  const components = [];
-  const headerRegex = /component\s+([a-zA-Z][a-zA-Z0-9_\-]*)\s*\(([^)]*)\)\s*/g;
-  let match;
-  while ((match = headerRegex.exec(content)) !== null) {
-    const name = match[1];
-    const paramsStr = match[2];
-    const braceIndex = content.indexOf('{', headerRegex.lastIndex);
-    if (braceIndex === -1) continue;
-    const { block, end } = extractBlock(content, braceIndex);
-    if (block === null) continue;
-    const body = cleanBlockString(block);
-    const params = parseParamList(paramsStr);
-    components.push({ name, params, body });
-    headerRegex.lastIndex = end;
-  }
-  return components;
+  const { ast } = parse(content);
+  return ast.children
+    .filter(n => n.type === 'component' && n.name)
+    .map(n => componentFromNode(n, content));
 }
 
 // ----------------- Parse component instances -----------------
+// Sólo `Name.instance { }` con Name en PascalCase o definido en el fichero (`div.card { }` es CSS normal)
 export function parseComponentInstances(content) {
-  const instances = [];
-  const instRegex = /([a-zA-Z][a-zA-Z0-9_\-]*)\.([a-zA-Z][a-zA-Z0-9_\-]*)\s*/g;
-  let match;
-  while ((match = instRegex.exec(content)) !== null) {
-    const componentName = match[1];
-    const instanceName = match[2];
-    const braceIndex = content.indexOf('{', instRegex.lastIndex);
-    if (braceIndex === -1) continue;
-    const { block, end } = extractBlock(content, braceIndex);
-    if (block === null) continue;
-    const instanceBody = cleanBlockString(block);
-    // parse props: $name: value;
-    const props = {};
-    const propRegex = /\$([a-zA-Z0-9_\-]+)\s*:\s*([^;]+);?/g;
-    let pMatch;
-    while ((pMatch = propRegex.exec(instanceBody)) !== null) {
-      props[pMatch[1]] = pMatch[2].trim().replace(/^['"]|['"]$/g, '');
-    }
-    instances.push({ componentName, instanceName, props, rawBody: instanceBody });
-    instRegex.lastIndex = end;
-  }
-  return instances;
+  const { ast } = parse(content);
+  return ast.children
+    .filter(n => n.type === 'instance')
+    .map(n => instanceFromNode(n, content));
 }
 
 // ----------------- Strip component and instance blocks (preserve plain CSS) -----------------
 export function stripComponentAndInstanceBlocks(content) {
-  const ranges = [];
-
-  // encontrar componentes
-  const headerRegex = /component\s+([a-zA-Z][a-zA-Z0-9_\-]*)\s*\(([^)]*)\)\s*/g;
-  let match;
-  while ((match = headerRegex.exec(content)) !== null) {
-    const start = match.index;
-    const braceIndex = content.indexOf('{', headerRegex.lastIndex);
-    if (braceIndex === -1) continue;
-    const { end } = extractBlock(content, braceIndex);
-    ranges.push([start, end]);
-    headerRegex.lastIndex = end;
-  }
-
-  // encontrar instancias
-  const instRegex = /([a-zA-Z][a-zA-Z0-9_\-]*)\.([a-zA-Z][a-zA-Z0-9_\-]*)\s*/g;
-  while ((match = instRegex.exec(content)) !== null) {
-    const start = match.index;
-    const braceIndex = content.indexOf('{', instRegex.lastIndex);
-    if (braceIndex === -1) continue;
-    const { end } = extractBlock(content, braceIndex);
-    ranges.push([start, end]);
-    instRegex.lastIndex = end;
-  }
-
+  const { ast } = parse(content);
+  const ranges = ast.children
+    .filter(n => n.type === 'component' || n.type === 'instance')
+    .map(n => [n.start, n.end]);
   if (ranges.length === 0) return content;
   // ordenar desc por start y cortar
   ranges.sort((a, b) => b[0] - a[0]);
@@ -214,34 +152,93 @@ export function stripComponentAndInstanceBlocks(content) {
   return remaining.trim();
 }
 
-// ----------------- When conditions -----------------
-function processWhenConditions(body, props) {
-  const whenHeaderRegex = /when\s+\$([a-zA-Z0-9_\-]+)\s*(==|!=)\s*([^\s{]+)\s*/g;
-  let out = '';
-  let cursor = 0;
-  let match;
-
-  while ((match = whenHeaderRegex.exec(body)) !== null) {
-    const start = match.index;
-    out += body.slice(cursor, start);
-    const varName = match[1];
-    const operator = match[2];
-    let rawValue = match[3].trim().replace(/^['"]|['"]$/g, '');
-    const bracePos = body.indexOf('{', whenHeaderRegex.lastIndex);
-    if (bracePos === -1) {
-      cursor = whenHeaderRegex.lastIndex;
+// ----------------- When conditions (gramática en conditions.js) -----------------
+// 'when $variant == primary and $size in (lg, xl)' -> AST de la condición (null si no es válida)
+export function parseWhenCondition(condition) {
+  try {
+    return parseCondition(condition);
+  } catch {
+    return null;
+  }
+}
+
+function evaluateWhen(node, props, report) {
+  try {
+    node.test ??= parseCondition(node.condition);
+    return evaluateCondition(node.test, props);
+  } catch (err) {
+    report(`Invalid when condition '${node.condition}': ${err.message}`);
+    return false;
+  }
+}
+
+// ----------------- Bucles (@each / @for, ver loops.js) -----------------
+function loopIterations(node, props, report, locate) {
+  try {
+    return loopBindings(node, props);
+  } catch (err) {
+    const header = node.type === 'each'
+      ? `@each ${node.vars.map(v => `$${v}`).join(', ')} in ${node.list}`
+      : `@for $${node.var} from ${node.from} ${node.inclusive ? 'through' : 'to'} ${node.to}`;
+    report(`Invalid ${header}: ${err.message}`, locate && whereOf(locate(node, node.start)));
+    return [];
+  }
+}
+
+// ----------------- Mixins (ver mixins.js) -----------------
+// Cuerpo de un @include con sus argumentos, o null (error reportado). compile() enlaza cada
+// @include con su definición en `node.mixin`
+function mixinBody(node, props, report, locate) {
+  const where = locate && whereOf(locate(node, node.start));
+  const def = node.mixin;
+  if (!def) {
+    report(`Unknown mixin '${node.name}'.`, where);
+    return null;
+  }
+  if (def.cycle) {
+    report(`Mixin '${def.name}' includes itself: ${def.cycle.join(' -> ')}.`, where);
+    return null;
+  }
+  try {
+    return { args: bindMixinArguments(def, node.args, props), children: fillSlot(def.children, node.children) };
+  } catch (err) {
+    report(`Invalid @include ${node.name}(${node.argsText}): ${err.message}`, where);
+    return null;
+  }
+}
+
+// Sustituye cada cadena `when / else when / else` por los hijos de la primera rama que se cumple,
+// desenrolla los bucles y expande los @include. Lo generado dentro de un bucle o de un mixin son
+// copias con `scope` (las variables de esa vuelta / los argumentos, que tapan a props); el resto
+// de nodos se devuelven tal cual.
+function expandBlock(children, props, report, locate, scope = null) {
+  const vars = scope ? { ...props, ...scope } : props;
+  const out = [];
+  let chainDone = true;
+  for (const node of children) {
+    if (node.type === 'include') {
+      const body = mixinBody(node, vars, report, locate);
+      if (body) out.push(...expandBlock(body.children, props, report, locate, { ...scope, ...body.args }));
+      continue;
+    }
+    if (node.type === 'content') continue; // `@content;` fuera de un mixin: no hay bloque
+    if (node.type === 'each' || node.type === 'for') {
+      for (const binding of loopIterations(node, vars, report, locate)) {
+        out.push(...expandBlock(node.children, props, report, locate, { ...scope, ...binding }));
+      }
       continue;
     }
-    const { block, end } = extractBlock(body, bracePos);
-    const instanceVal = props[varName];
-    let cond = false;
-    if (operator === '==') cond = String(instanceVal) === rawValue;
-    if (operator === '!=') cond = String(instanceVal) !== rawValue;
-    if (cond) out += block;
-    cursor = end;
-    whenHeaderRegex.lastIndex = end;
+    if (node.type !== 'when') {
+      out.push(scope ? { ...node, scope } : node);
+      continue;
+    }
+    if (!node.else) chainDone = false; // empieza una cadena nueva
+    if (chainDone) continue;
+    if (node.condition === null || evaluateWhen(node, vars, report)) {
+      out.push(...expandBlock(node.children, props, report, locate, scope));
+      chainDone = true;
+    }
   }
-  out += body.slice(cursor);
   return out;
 }
 
@@ -260,353 +257,647 @@ function processVariables(body, mergedProps) {
   
     return processed;
   }
-// ----------------- Simple AST builder y generador -----------------
-function buildAst(body) {
-  const root = { selector: null, rules: [], children: [] };
-  let i = 0;
-  const len = body.length;
-
-  while (i < len) {
-    while (i < len && isWhitespace(body[i])) i++;
-    if (i >= len) break;
-    const nextBrace = body.indexOf('{', i);
-    const nextSemicolon = body.indexOf(';', i);
-
-    if (nextSemicolon !== -1 && (nextSemicolon < nextBrace || nextBrace === -1)) {
-      const rule = body.slice(i, nextSemicolon).trim();
-      if (rule) root.rules.push(rule + ';');
-      i = nextSemicolon + 1;
-      continue;
-    }
 
-    if (nextBrace === -1) {
-      const remainder = body.slice(i).trim();
-      if (remainder) {
-        const rules = remainder.split(';').map(r => r.trim()).filter(Boolean);
-        for (const r of rules) root.rules.push(r + ';');
-      }
-      break;
-    }
+// source de PostCSS -> { file, line, column } para los diagnostics
+function whereOf(source) {
+  return source && { file: source.input.file, line: source.start.line, column: source.start.column };
+}
 
-    const selector = body.slice(i, nextBrace).trim();
-    const { block, end } = extractBlock(body, nextBrace);
-    const innerAst = buildAst(block);
-    const node = { selector: selector, rules: innerAst.rules, children: innerAst.children };
-    root.children.push(node);
-    i = end;
+// Valor de una declaración: variables + expresiones. Si la expresión falla se reporta (compile()
+// devuelve entonces el CSS vacío) y el valor queda sólo con las variables sustituidas
+function declarationValue(node, props, report, source) {
+  try {
+    return evaluateValue(node.value, props).trim();
+  } catch (err) {
+    report(`Invalid expression in '${node.prop}: ${node.value}': ${err.message}`, whereOf(source));
+    return processVariables(node.value, props).trim();
   }
-  return root;
 }
 
-function generateCssFromAst(ast, className) {
-  const lines = [];
-
-  function combineSelectors(parentSelectors, selector) {
-    const parts = selector.split(',').map(s => s.trim()).filter(Boolean);
-    const result = [];
-    for (const pSel of parentSelectors) {
-      for (const part of parts) {
-        if (part.includes('&')) result.push(part.replace(/&/g, pSel));
-        else if (part.startsWith(':')) result.push(`${pSel}${part}`);
-        else if (part.startsWith('>')) result.push(`${pSel} ${part}`);
-        else if (part.startsWith('[')) result.push(`${pSel}${part}`);
-        else if (part.startsWith('.') || part.startsWith('#')) result.push(`${pSel} ${part}`);
-        else result.push(`${pSel} ${part}`);
-      }
+// Selectores, nombres de propiedad y params de at-rules: `#{expr}` y después las $variables
+function substitute(text, props, report, source) {
+  let out = text;
+  if (out.includes('#{')) {
+    try {
+      out = interpolate(out, props);
+    } catch (err) {
+      report(`Invalid interpolation in '${text}': ${err.message}`, whereOf(source));
     }
-    return result;
   }
+  return processVariables(out, props).trim();
+}
 
-  if (ast.rules && ast.rules.length) {
-    lines.push(`.${className} {`);
-    for (const r of ast.rules) lines.push(`  ${r}`);
-    lines.push(`}`);
+// ----------------- Generador: AST -> nodos PostCSS -----------------
+function combineSelectors(parentSelectors, selector) {
+  const parts = selector.split(',').map(s => s.trim()).filter(Boolean);
+  const result = [];
+  for (const pSel of parentSelectors) {
+    for (const part of parts) {
+      if (part.includes('&')) result.push(part.replace(/&/g, pSel));
+      else if (part.startsWith(':')) result.push(`${pSel}${part}`);
+      else if (part.startsWith('>')) result.push(`${pSel} ${part}`);
+      else if (part.startsWith('[')) result.push(`${pSel}${part}`);
+      else if (part.startsWith('.') || part.startsWith('#')) result.push(`${pSel} ${part}`);
+      else result.push(`${pSel} ${part}`);
+    }
   }
+  return result;
+}
 
-  function emitNode(node, parentSelectors) {
-    const sel = (node.selector || '').trim();
-    const finalSelectors = sel ? combineSelectors(parentSelectors, sel) : parentSelectors;
+// source de PostCSS ({ input, start, end }) para un rango del fichero original (end inclusivo)
+function sourceAt(input, offset, endOffset) {
+  if (!input || offset === undefined || offset < 0) return undefined;
+  const pos = input.fromOffset(offset);
+  if (!pos) return undefined;
+  const source = { input, start: { offset, line: pos.line, column: pos.col } };
+  const endPos = endOffset !== undefined && endOffset >= offset ? input.fromOffset(endOffset) : null;
+  if (endPos) source.end = { offset: endOffset, line: endPos.line, column: endPos.col };
+  return source;
+}
 
-    if (node.rules && node.rules.length) {
-      lines.push(`${finalSelectors.join(', ')} {`);
-      for (const r of node.rules) lines.push(`  ${r}`);
-      lines.push(`}`);
+// Marca los nodos del AST con el Input de su fichero: los heredados de otro fichero mapean a él
+function tagInput(nodes, input) {
+  for (const node of nodes) {
+    node.__input = input;
+    if (node.children) tagInput(node.children, input);
+  }
+}
+
+// Último carácter "útil" de un nodo (sin el ';' final), para `source.end`
+const lastOffset = (node) => node.end - (node.semicolon ? 1 : 0) - 1;
+
+// `$x: valor;` dentro de un bloque: variable local, visible en el resto del bloque y sus hijos
+function localScope(children, scope, report) {
+  const locals = children.filter(n => n.type === 'decl' && n.prop.startsWith('$'));
+  if (!locals.length) return scope;
+  const out = { ...scope };
+  for (const n of locals) out[n.prop.slice(1)] = declarationValue(n, n.scope ? { ...out, ...n.scope } : out, report);
+  return out;
+}
+
+/**
+ * Nodos PostCSS para el CSS normal (passthrough): reglas, at-rules y declaraciones tal cual.
+ * Se ignoran componentes, instancias, @import, variables globales, comentarios y sentencias inválidas.
+ * scope: variables visibles (globales + locales de los bloques padre); sólo se evalúan los
+ * valores que contienen `$`, el resto se copia sin tocar.
+ */
+function plainNodes(children, input, scope = {}, report = logger.error) {
+  // los nodos de un mixin importado llevan su propio `__input`
+  const locate = (node, end) => sourceAt(node.__input ?? input, node.start, end);
+  const items = expandBlock(children, scope, report, locate);
+  const blockVars = localScope(items, scope, report);
+  const out = [];
+  for (const node of items) {
+    const source = locate(node, lastOffset(node));
+    const vars = node.scope ? { ...blockVars, ...node.scope } : blockVars;
+    const dynamic = (text) => text.includes('$') || text.includes('#{');
+    const text = (t) => (dynamic(t) ? substitute(t, vars, report, source) : t);
+    if (node.type === 'rule') {
+      const rule = postcss.rule({ selector: text(node.selector), source });
+      rule.append(plainNodes(node.children, input, vars, report));
+      out.push(rule);
+    } else if (node.type === 'atrule' && node.name !== 'import') {
+      const atRule = postcss.atRule({ name: node.name, params: text(node.params), source });
+      if (node.children) {
+        atRule.nodes = [];
+        atRule.append(plainNodes(node.children, input, vars, report));
+      }
+      out.push(atRule);
+    } else if (node.type === 'decl' && !node.prop.startsWith('$')) {
+      const value = dynamic(node.value) ? declarationValue(node, vars, report, source) : node.value;
+      out.push(postcss.decl({ prop: text(node.prop), value, source }));
     }
+  }
+  return out;
+}
 
-    if (node.children && node.children.length) {
-      for (const child of node.children) emitNode(child, finalSelectors);
+/**
+ * Genera nodos PostCSS para el cuerpo de un componente ya resuelto para una instancia.
+ * - Las declaraciones de un nivel van en una regla con los selectores actuales (source: ruleSource).
+ * - Reglas anidadas combinan selectores; at-rules (@media...) envuelven a sus reglas.
+ */
+function generateNodes(children, selectors, parentProps, locate, ruleSource, report = logger.error) {
+  const items = expandBlock(children, parentProps, report, locate);
+  // `$half: $size / 2;` en el cuerpo: variable local del bloque (tapa a params y globales)
+  const props = localScope(items, parentProps, report);
+  // lo generado por un @each / @for ve además las variables de su vuelta
+  const varsOf = (n) => (n.scope ? { ...props, ...n.scope } : props);
+  const out = [];
+
+  const own = items.filter(n => n.type === 'decl' || (n.type === 'atrule' && !n.children));
+  if (own.length) {
+    const rule = postcss.rule({ selector: selectors.join(', '), source: ruleSource });
+    for (const n of own) {
+      const source = locate(n, lastOffset(n));
+      if (n.type === 'atrule') {
+        rule.append(postcss.atRule({ name: n.name, params: substitute(n.params, varsOf(n), report, source), source }));
+      } else if (!n.prop.startsWith('$')) {
+        const prop = n.prop.includes('#{') ? substitute(n.prop, varsOf(n), report, source) : n.prop;
+        rule.append(postcss.decl({ prop, value: declarationValue(n, varsOf(n), report, source), source }));
+      }
     }
+    if (rule.nodes.length) out.push(rule);
   }
 
-  for (const child of ast.children) emitNode(child, [`.${className}`]);
-  return lines.join('\n\n');
+  for (const n of items) {
+    if (n.type === 'rule') {
+      const source = locate(n, n.end - 1);
+      const sel = substitute(n.selector, varsOf(n), report, source);
+      const finalSelectors = sel ? combineSelectors(selectors, sel) : selectors;
+      out.push(...generateNodes(n.children, finalSelectors, varsOf(n), locate, source, report));
+    } else if (n.type === 'atrule' && n.children) {
+      const atRule = postcss.atRule({
+        name: n.name,
+        params: substitute(n.params, varsOf(n), report, locate(n, n.end - 1)),
+        source: locate(n, n.end - 1),
+        nodes: []
+      });
+      atRule.append(generateNodes(n.children, selectors, varsOf(n), locate, locate(n, n.end - 1), report));
+      if (atRule.nodes.length) out.push(atRule);
+    }
+  }
+
+  return out;
 }
 
-export function processComponentInstance(component, instance, className) {
+/**
+ * Genera los nodos PostCSS de una instancia.
+ * Si component.__input / instance.__input (Input de PostCSS del fichero original) existen,
+ * cada regla y declaración lleva su `source` (fichero, línea, columna) para los source maps.
+ * Los nodos heredados de otro fichero (`extends`) llevan su propio `__input`.
+ * component.children (cuerpo con la herencia ya aplicada) tiene prioridad sobre component.node.
+ */
+export function buildInstanceNodes(component, instance, className, report, globals = {}) {
     // 1) Construir mergedProps (instance override defaults). Esto valida defaults faltantes.
-    const mergedProps = buildMergedProps(component.params, instance.props || {}, component.name, instance.instanceName);
-  
-    // 2) Evaluar bloques `when` usando mergedProps
-    let body = processWhenConditions(component.body, mergedProps);
-  
-    // 3) Reemplazar variables usando mergedProps
-    body = processVariables(body, mergedProps);
-  
-    // 4) Parsear y generar CSS
-    const ast = buildAst(body);
-    const css = generateCssFromAst(ast, className);
-    return css.trim();
+    //    Los params tapan a las variables globales del mismo nombre.
+    const mergedProps = {
+      ...globals,
+      ...buildMergedProps(component.params, instance.props || {}, component.name, instance.instanceName, report, globals, instance.scope)
+    };
+
+    // 2) Cuerpo del componente como AST (definiciones construidas a mano: se parsea `body`)
+    const children = component.children
+      ?? (component.node ? component.node.children : parseComponentBody(component.body).children);
+    const locate = (node, end) => sourceAt(node.__input ?? component.__input, node.start, end);
+    const rootSource = sourceAt(instance.__input, instance.index, instance.endIndex);
+
+    // 3) Evaluar `when`, sustituir variables y generar nodos
+    return generateNodes(children, [`.${className}`], mergedProps, locate, rootSource, report);
   }
-  
-// ----------------- Error manager / analyzer -----------------
-function indexToLineCol(text, index) {
-    const lines = text.slice(0, index).split('\n');
-    const line = lines.length;
-    const col = lines[lines.length - 1].length + 1;
-    return { line, column: col };
+
+export function processComponentInstance(component, instance, className, report, globals) {
+    const root = postcss.root();
+    root.append(buildInstanceNodes(component, instance, className, report, globals));
+    return formatRoot(root).toString().trim();
   }
-  
-  function scanBraces(content) {
-    const stack = [];
-    const unmatchedCloses = [];
-    for (let i = 0; i < content.length; i++) {
-      const ch = content[i];
-      if (ch === '{') stack.push(i);
-      if (ch === '}') {
-        if (stack.length === 0) unmatchedCloses.push(i);
-        else stack.pop();
+
+/**
+ * Da formato estable (2 espacios, línea en blanco entre bloques) a un Root de PostCSS.
+ * Sustituye a normalizeCss() cuando se trabaja con nodos, así los source maps siguen siendo válidos.
+ */
+export function formatRoot(root) {
+  root.walkComments(c => c.remove());
+
+  const formatNodes = (container, depth) => {
+    const indent = '  '.repeat(depth);
+    container.each((node, idx) => {
+      const before = depth === 0 ? (idx === 0 ? '' : '\n\n') : `\n${indent}`;
+      if (node.type === 'decl') {
+        node.raws = { before, between: ': ' };
+        return;
       }
+      node.raws = { before, between: node.nodes ? ' ' : '', after: `\n${indent}`, semicolon: true };
+      if (node.nodes) formatNodes(node, depth + 1);
+    });
+  };
+
+  formatNodes(root, 0);
+  root.raws = { semicolon: true, after: root.nodes.length ? '\n' : '' };
+  return root;
+}
+
+// ----------------- Error manager / analyzer -----------------
+function indexToLineCol(text, index) {
+  return lineColumn(text, index);
+}
+
+const VARIABLE_REGEX = /\$([a-zA-Z0-9_-]+)/g;
+
+// Variables que declara un @each / @for para su cuerpo
+const loopVariables = (n) => (n.type === 'each' ? n.vars : n.type === 'for' && n.var ? [n.var] : []);
+
+// Todas las apariciones de $var en el cuerpo de un componente: [{ name, index }]
+function collectVariableUses(children) {
+  const uses = [];
+  const scan = (text, base) => {
+    if (!text) return;
+    VARIABLE_REGEX.lastIndex = 0;
+    let m;
+    while ((m = VARIABLE_REGEX.exec(text)) !== null) uses.push({ name: m[1], index: base + m.index });
+  };
+  const walk = (nodes) => {
+    for (const n of nodes) {
+      if (n.type === 'decl') scan(n.value, n.valueStart);
+      else if (n.type === 'rule') scan(n.selector, n.start);
+      else if (n.type === 'atrule') scan(n.params, n.start + n.name.length + 2);
+      else if (n.type === 'when') scan(n.condition, n.conditionStart);
+      else if (n.type === 'each') scan(n.list, n.listStart);
+      else if (n.type === 'for') { scan(n.from, n.fromStart); scan(n.to, n.toStart); }
+      else if (n.type === 'include') n.args.forEach(arg => scan(arg.value, arg.valueStart));
+      if (n.children) walk(n.children);
     }
-    // remaining stack are unmatched opens
-    return { unmatchedOpens: stack.slice(), unmatchedCloses };
-  }
-  
-  export function analyzeContent(content) {
-    const issues = [];
-  
-    // 1) Braces check
-    const { unmatchedOpens, unmatchedCloses } = scanBraces(content);
-    for (const idx of unmatchedCloses) {
-      const pos = indexToLineCol(content, idx);
-      issues.push({
-        severity: 'error',
-        message: `Unmatched closing '}' at line ${pos.line}, column ${pos.column}.`,
-        line: pos.line,
-        column: pos.column,
-        suggestion: "Remove the extra '}' or add the matching opening '{'."
-      });
+  };
+  walk(children);
+  return uses;
+}
+
+export function analyzeContent(content) {
+  const { ast, errors } = parse(content);
+  return analyzeAst(ast, content, errors);
+}
+
+/**
+ * imported: { components: Map<nombre, definición>, mixins: Map<nombre, definición>, variables: Set<nombre>,
+ * problems } con lo que aportan los @import (compile() lo pasa ya resuelto; los nombres con namespace
+ * van como `ui.Button`, y problems son los conflictos de nombres de buildScopes()). Sin él
+ * (analyzeContent), un padre de `extends`, un mixin o una variable global que no están en el fichero
+ * pueden venir de un @import y no se reportan.
+ */
+function analyzeAst(ast, content, parseErrors = [], imported) {
+  const issues = [];
+  const issueAt = (severity, index, message, suggestion) => {
+    const pos = indexToLineCol(content, index);
+    const issue = { severity, message, line: pos.line, column: pos.column };
+    if (suggestion) issue.suggestion = suggestion;
+    issues.push(issue);
+  };
+
+  // 1) Errores de sintaxis del tokenizer / parser (llaves, strings, cabeceras de componente)
+  for (const e of parseErrors) issueAt('error', e.start, e.message, e.suggestion);
+  // Nombres ambiguos o duplicados entre imports, y nombres de un import selectivo que no existen
+  for (const p of imported?.problems ?? []) issueAt(p.severity, p.start, p.message, p.suggestion);
+
+  const components = ast.children.filter(n => n.type === 'component' && n.name);
+  const instances = ast.children.filter(n => n.type === 'instance');
+  const hasImports = ast.children.some(n => n.type === 'import');
+
+  // Variables globales: `$x: valor;` de nivel superior + las importadas (tokens incluidos).
+  // Con @import sin resolver no sabemos qué variables llegan: no se reportan las desconocidas.
+  const variables = ast.children.filter(n => n.type === 'variable');
+  const globals = new Set([...variables.map(v => v.name), ...(imported ? imported.variables : [])]);
+  const unknownGlobal = (name) => !globals.has(name) && (Boolean(imported) || !hasImports);
+
+  // Reglas mal formadas / valores vacíos. `where` completa el mensaje (" in component 'X'")
+  const checkStatements = (nodes, where) => {
+    for (const n of nodes) {
+      if (n.type === 'raw') {
+        issueAt('error', n.start, `Malformed CSS rule '${n.text}${n.semicolon ? ';' : ''}'${where}.`, 'Ensure rule format: property: value;');
+      } else if (n.type === 'decl' && !n.value) {
+        issueAt('error', n.start, `Empty value for property '${n.prop}'${where}.`, `Provide a value or a default for variable used in '${n.prop}'.`);
+      }
+      if (n.children && n.type !== 'component' && n.type !== 'mixin' && n.type !== 'instance') checkStatements(n.children, where);
     }
-    for (const idx of unmatchedOpens) {
-      const pos = indexToLineCol(content, idx);
-      issues.push({
-        severity: 'error',
-        message: `Unclosed block starting at line ${pos.line}, column ${pos.column} (missing '}' ).`,
-        line: pos.line,
-        column: pos.column,
-        suggestion: "Add a closing '}' for the opened block."
-      });
+  };
+  checkStatements(ast.children, '');
+
+  // Cabeceras de @each / @for sin variables: se pueden evaluar ya (las demás dependen de params / globales)
+  const checkLoops = (nodes) => {
+    for (const n of nodes) {
+      if ((n.type === 'each' || n.type === 'for') && !`${n.list ?? ''}${n.from ?? ''}${n.to ?? ''}`.includes('$')) {
+        try {
+          loopBindings(n);
+        } catch (err) {
+          if (!(err instanceof LoopError)) throw err;
+          const base = { list: n.listStart, from: n.fromStart, to: n.toStart }[err.at];
+          issueAt('error', base + err.index, err.message,
+            n.type === 'each' ? 'Write `@each $item in (a, b)` or `@each $key, $value in (a: 1, b: 2)`.' : 'Write `@for $i from 1 through 8`.');
+        }
+      }
+      if (n.children) checkLoops(n.children);
     }
-  
-    // 2) component header basic validation (missing ')' or '{')
-    const compKeywordRegex = /component\b/g;
-    let m;
-    while ((m = compKeywordRegex.exec(content)) !== null) {
-      const start = m.index;
-      const parenOpen = content.indexOf('(', start);
-      const braceOpen = content.indexOf('{', start);
-      if (parenOpen === -1 || parenOpen > braceOpen) {
-        const pos = indexToLineCol(content, start);
-        issues.push({
-          severity: 'error',
-          message: "Malformed component header: missing parameter list `(...)` before `{`.",
-          line: pos.line,
-          column: pos.column,
-          suggestion: "Ensure you wrote: component Name($a: default, ...) { ... }"
-        });
-        continue;
+  };
+  checkLoops(ast.children);
+
+  // Funciones de color: colores / cantidades inválidos en llamadas sin variables (error), y defaults
+  // de parámetros pasados como color que no son colores (`lighten($c, 10%)` con `$c: bluee`)
+  const checkColorInputs = (ast, text, index, where, params) => {
+    const reported = new Set();
+    const report = (at, message) => {
+      if (reported.has(at)) return;
+      reported.add(at);
+      issueAt('error', at, message, 'Use a hex (#07f), rgb(), hsl() or named color, and amounts like 10% or .5.');
+    };
+    walkValue(ast, (node) => {
+      const def = node.type === 'func' && Object.prototype.hasOwnProperty.call(COLOR_FUNCTIONS, node.name) && COLOR_FUNCTIONS[node.name];
+      if (!def) return;
+      const args = node.args.items;
+      if (def.native && (args.length < def.args[0] || args.length > def.args[1])) return; // rgba() nativo
+      const call = text.slice(node.start, node.end);
+      if (!call.includes('$')) {
+        try {
+          evaluateValue(call);
+        } catch (err) {
+          report(index + node.start + err.index, `${err.message.replace(/\.$/, '')}${where}.`);
+        }
+        return;
       }
-      const parenClose = content.indexOf(')', parenOpen);
-      if (parenClose === -1 || parenClose > braceOpen) {
-        const pos = indexToLineCol(content, parenOpen);
-        issues.push({
-          severity: 'error',
-          message: "Malformed component header: missing closing `)` for parameter list.",
-          line: pos.line,
-          column: pos.column,
-          suggestion: "Close the parameter list with `)` before the component body."
-        });
+      for (const idx of def.colors) {
+        const arg = args[idx];
+        const param = arg && arg.type === 'var' && params.find(p => p.name === arg.name);
+        if (!param || param.defaultValue === undefined || param.defaultValue.includes('$')) continue;
+        let color;
+        try {
+          color = parseColor(evaluateValue(param.defaultValue));
+        } catch {
+          continue; // el default ya se reporta por su cuenta
+        }
+        if (!color) {
+          report(index + arg.start, `${node.name}(): default of $${arg.name} '${param.defaultValue}' is not a valid color${where}.`);
+        }
       }
+    });
+  };
+
+  // Expresiones (`$size * 2`, `min(...)`) mal formadas: sólo en cuerpos de componentes e instancias
+  const checkExpression = (text, index, what, where, params = []) => {
+    // `#{...}`: se comprueba cada interpolación por separado (el resto depende de su valor)
+    if (text.includes('#{')) {
+      for (const m of text.matchAll(/#\{([^{}]*)\}/g)) checkExpression(m[1], index + m.index + 2, what, where, params);
+      return;
     }
-  
-    // 3) parse components and instances
-    let components = [];
+    let valueAst;
     try {
-      components = parseComponentDefinition(content) || [];
-    } catch (e) {
-      // If parser completely fails, report and bail
-      issues.push({ severity: 'error', message: `Failed parsing components: ${e.message}`, line: 1, column: 1 });
-      return issues;
+      valueAst = parseValue(text);
+    } catch (err) {
+      issueAt('error', index + err.index, `Invalid expression in ${what}${where}: ${err.message}`,
+        'Check operators and parentheses, e.g. $size * 2 or ($a + $b) / 2.');
+      return;
     }
-  
-    const instances = parseComponentInstances(content) || [];
-  
-    // 4) Per-component checks
-    for (const comp of components) {
-      // duplicate params
-      const seen = new Set();
-      for (const p of comp.params) {
-        if (seen.has(p.name)) {
-          // find approximate index of param in the header for line col
-          const headerIndex = content.indexOf(`component ${comp.name}`);
-          const pos = indexToLineCol(content, headerIndex >= 0 ? headerIndex : 0);
-          issues.push({
-            severity: 'error',
-            message: `Duplicate parameter '${p.name}' in component ${comp.name}.`,
-            line: pos.line,
-            column: pos.column,
-            suggestion: `Remove or rename duplicate parameter '${p.name}'.`
-          });
-        }
-        seen.add(p.name);
+    checkColorInputs(valueAst, text, index, where, params);
+  };
+  const checkExpressions = (nodes, where, params) => {
+    for (const n of nodes) {
+      if (n.type === 'decl' && !n.prop.startsWith('$')) checkExpression(n.value, n.valueStart, `'${n.prop}: ${n.value}'`, where, params);
+      if (n.children) checkExpressions(n.children, where, params);
+    }
+  };
+
+  // Globales: valores válidos y que sólo usan variables declaradas antes (o importadas)
+  const declared = new Set(imported ? imported.variables : []);
+  for (const v of variables) {
+    checkExpression(v.value, v.valueStart, `global $${v.name}`, '');
+    for (const m of v.value.matchAll(VARIABLE_REGEX)) {
+      if (declared.has(m[1]) || (!imported && hasImports)) continue;
+      issueAt('warning', v.valueStart + m.index,
+        globals.has(m[1])
+          ? `Global $${v.name} refers to $${m[1]}, which is declared after it.`
+          : `Global $${v.name} refers to undefined variable '$${m[1]}'.`,
+        `Declare $${m[1]} (or @import the file that defines it) before $${v.name}.`);
+    }
+    if (declared.has(v.name) && variables.some(o => o !== v && o.name === v.name && o.start < v.start)) {
+      issueAt('warning', v.start, `Global $${v.name} is declared more than once; the last value wins.`, `Remove or rename the duplicate $${v.name}.`);
+    }
+    declared.add(v.name);
+  }
+
+
+  // Herencia: los locales sobrescriben a los importados, igual que en compile()
+  const defs = new Map(imported ? imported.components : []);
+  for (const comp of components) {
+    defs.set(comp.name, { name: comp.name, params: comp.params, children: comp.children, extends: comp.extends?.name });
+  }
+  const { resolved, problems } = resolveInheritance(defs);
+
+  // instance props not in component params -> warning (incluye los heredados)
+  const checkInstanceProps = (props, componentName, label) => {
+    const comp = resolved.get(componentName);
+    for (const prop of props) {
+      if (comp.params.some(p => p.name === prop.name)) continue;
+      issueAt('warning', prop.start,
+        `Instance '${label}' defines unknown prop '$${prop.name}'.`,
+        `Remove or declare '$${prop.name}' in the component parameters.`);
+    }
+  };
+  // Componentes con un padre desconocido en su cadena: no sabemos qué params heredan
+  const brokenParents = new Set(problems.filter(p => p.kind === 'unknown-parent').map(p => p.name));
+  const unresolved = new Set(components
+    .filter(c => resolved.get(c.name).chain.some(name => brokenParents.has(name)))
+    .map(c => c.name));
+  for (const problem of problems) {
+    const comp = components.find(c => c.name === problem.name);
+    if (!comp) continue; // problema de un fichero importado: se reporta al compilar ese fichero
+    if (problem.kind === 'cycle') {
+      issueAt('error', comp.extends.start,
+        `Inheritance cycle: ${problem.cycle.join(' -> ')}.`,
+        `Remove the \`extends\` that makes '${comp.name}' inherit from itself.`);
+    } else if (imported || !hasImports) {
+      // sin @import (o con los imports ya resueltos) el padre no existe
+      issueAt('error', comp.extends.start,
+        `Component '${comp.name}' extends unknown component '${problem.parent}'.`,
+        `Define or @import component '${problem.parent}' before extending it.`);
+    }
+  }
+
+  // CSS normal: `$x` debe ser global, una variable local (`$x: ...;`) de su bloque o de un padre,
+  // o una variable de un @each / @for que lo contiene. `Name.#{$x}` dentro de un bucle es una instancia.
+  const checkPlainVariables = (nodes, known, inLoop) => {
+    const scope = new Set([...known, ...nodes.filter(n => n.type === 'decl' && n.prop.startsWith('$')).map(n => n.prop.slice(1))]);
+    for (const n of nodes) {
+      if (n.type === 'component' || n.type === 'mixin' || n.type === 'instance' || n.type === 'variable') continue;
+      if (n.type === 'decl' && n.value.includes('$')) checkExpression(n.value, n.valueStart, `'${n.prop}: ${n.value}'`, '');
+      for (const use of collectVariableUses([{ ...n, children: null }])) {
+        if (scope.has(use.name) || !unknownGlobal(use.name)) continue;
+        issueAt('warning', use.index, `Undefined variable '$${use.name}'.`,
+          `Declare it as a global ($${use.name}: value;) or @import the file that defines it.`);
       }
-  
-      // variables used in body but not declared
-      const varRegex = /\$([a-zA-Z0-9_-]+)/g;
-      const used = new Set();
-      let vm;
-      while ((vm = varRegex.exec(comp.body)) !== null) used.add(vm[1]);
-      for (const u of used) {
-        if (!comp.params.some(p => p.name === u)) {
-          // warn (maybe it's a global or mistake)
-          const idx = comp.body.indexOf(`$${u}`);
-          const pos = indexToLineCol(content, content.indexOf(comp.body) + (idx >= 0 ? idx : 0));
-          issues.push({
-            severity: 'warning',
-            message: `Variable '$${u}' used in component '${comp.name}' but not declared as parameter.`,
-            line: pos.line,
-            column: pos.column,
-            suggestion: `Declare $${u} in the component parameters or remove its usage.`
-          });
-        }
+      const generated = inLoop && n.type === 'rule' && n.selector.match(/^([a-zA-Z][a-zA-Z0-9_-]*)\.\S+$/);
+      if (generated && resolved.has(generated[1]) && !unresolved.has(generated[1])) {
+        const props = n.children.filter(c => c.type === 'decl' && c.prop.startsWith('$'));
+        checkInstanceProps(props.map(c => ({ name: c.prop.slice(1), start: c.start })), generated[1], `${generated[1]}.${n.selector.slice(generated[1].length + 1)}`);
+        continue;
       }
-  
-      // when checks: ensure when var exists
-      const whenHeaderRegex = /when\s+\$([a-zA-Z0-9_-]+)\s*(==|!=)\s*([^\s{]+)/g;
-      let wh;
-      while ((wh = whenHeaderRegex.exec(comp.body)) !== null) {
-        const varName = wh[1];
-        if (!comp.params.some(p => p.name === varName)) {
-          const pos = indexToLineCol(content, content.indexOf(comp.body) + wh.index);
-          issues.push({
-            severity: 'error',
-            message: `when condition references unknown variable '$${varName}' in component '${comp.name}'.`,
-            line: pos.line,
-            column: pos.column,
-            suggestion: `Either declare $${varName} in the component or fix the condition.`
-          });
+      if (n.children) checkPlainVariables(n.children, new Set([...scope, ...loopVariables(n)]), inLoop || loopVariables(n).length > 0);
+    }
+  };
+  checkPlainVariables(ast.children, new Set(), false);
+
+  // @include: mixin conocido (local o importado) y argumentos que encajan con sus parámetros
+  const mixins = ast.children.filter(n => n.type === 'mixin' && n.name);
+  const mixinDefs = new Map(imported ? imported.mixins : []);
+  for (const m of mixins) mixinDefs.set(m.name, m);
+  const checkIncludes = (nodes, where, inMixin) => {
+    for (const n of nodes) {
+      if (n.type === 'include' && n.name) {
+        const def = mixinDefs.get(n.name);
+        if (def) {
+          for (const problem of checkMixinCall(n.name, def.params, n.args)) {
+            issueAt('error', problem.start ?? n.start, `${problem.message.replace(/\.$/, '')}${where}.`,
+              `Check the parameters of mixin '${n.name}'.`);
+          }
+        } else if (imported || !hasImports) {
+          issueAt('error', n.start, `Unknown mixin '${n.name}'${where}.`, `Define or @import mixin '${n.name}' before including it.`);
         }
+        for (const arg of n.args) checkExpression(arg.value, arg.valueStart, `argument of @include ${n.name}`, where);
+      } else if (n.type === 'content' && !inMixin) {
+        issueAt('error', n.start, `\`@content\` outside a mixin${where}.`, 'Use `@content;` only inside a `mixin` body.');
       }
-  
-      // parse body AST and validate rules (prop: value;)
-      let ast;
+      if (!n.children) continue;
+      if (n.type === 'component') checkIncludes(n.children, ` in component '${n.name}'`, false);
+      else if (n.type === 'mixin') checkIncludes(n.children, ` in mixin '${n.name}'`, true);
+      else checkIncludes(n.children, where, inMixin);
+    }
+  };
+  checkIncludes(ast.children, '', false);
+  for (const [name, cycle] of findMixinCycles(mixinDefs)) {
+    const m = mixins.find(x => x.name === name);
+    if (m) issueAt('error', m.nameStart, `Mixin '${name}' includes itself: ${cycle.join(' -> ')}.`, 'Remove the recursive @include.');
+  }
+
+  // 2) Per-component (y per-mixin) checks
+  const bodies = [
+    ...components.map(comp => {
+      const { params, children } = resolved.get(comp.name);
+      return { kind: 'component', comp, params, children, partial: unresolved.has(comp.name) };
+    }),
+    ...mixins.map(comp => ({ kind: 'mixin', comp, params: comp.params, children: comp.children, partial: false }))
+  ];
+  for (const { kind, comp, params, children, partial } of bodies) {
+    const where = ` in ${kind} '${comp.name}'`;
+    // params, variables locales del cuerpo (`$half: $size / 2;`) y globales
+    const locals = new Set();
+    const collectLocals = (nodes) => nodes.forEach(n => {
+      if (n.type === 'decl' && n.prop.startsWith('$')) locals.add(n.prop.slice(1));
+      loopVariables(n).forEach(name => locals.add(name));
+      if (n.children) collectLocals(n.children);
+    });
+    collectLocals(children);
+    const known = (name) => params.some(p => p.name === name) || locals.has(name) || !unknownGlobal(name);
+
+    // duplicate params
+    const seen = new Set();
+    for (const p of comp.params) {
+      if (seen.has(p.name)) {
+        issueAt('error', p.start, `Duplicate parameter '${p.name}' in ${kind} ${comp.name}.`, `Remove or rename duplicate parameter '${p.name}'.`);
+      }
+      seen.add(p.name);
+    }
+
+    // defaults: expresión válida y sólo referencias a parámetros anteriores (`$gap: $size / 2`)
+    for (const p of comp.params) {
+      if (p.defaultValue === undefined) continue;
+      checkExpression(p.defaultValue, p.start, `default of $${p.name}`, where, params);
+      const earlier = params.slice(0, params.findIndex(q => q.name === p.name)).map(q => q.name);
+      for (const m of p.defaultValue.matchAll(VARIABLE_REGEX)) {
+        if (partial || earlier.includes(m[1]) || (!params.some(q => q.name === m[1]) && !unknownGlobal(m[1]))) continue;
+        issueAt('warning', p.start,
+          `Default of $${p.name} refers to $${m[1]}, which is not a parameter declared before it or a global variable${where}.`,
+          `Declare $${m[1]} before $${p.name} in the parameter list.`);
+      }
+    }
+    checkExpressions(comp.children, where, params);
+
+    // variables used in body but not declared (warn: maybe it's a global or mistake)
+    const reported = new Set();
+    for (const use of collectVariableUses(comp.children)) {
+      if (partial || reported.has(use.name) || known(use.name)) continue;
+      reported.add(use.name);
+      issueAt('warning', use.index,
+        `Variable '$${use.name}' used in ${kind} '${comp.name}' but not declared as parameter or global variable.`,
+        `Declare $${use.name} in the ${kind} parameters (or as a global) or remove its usage.`);
+    }
+
+    // when checks: condición válida, variables existentes y comparaciones numéricas posibles
+    const checkCondition = (n) => {
+      let test;
       try {
-        ast = buildAst(comp.body);
-      } catch (e) {
-        const pos = indexToLineCol(content, content.indexOf(comp.body));
-        issues.push({ severity: 'error', message: `Failed building AST for component ${comp.name}: ${e.message}`, line: pos.line, column: pos.column });
-        continue;
+        test = parseCondition(n.condition);
+      } catch (err) {
+        issueAt('error', n.conditionStart + err.index,
+          `Malformed when condition '${n.condition}'${where}: ${err.message}`,
+          'Use: when $a == value, $a > 3, $a in (x, y), combined with and / or / not.');
+        return;
       }
-      // check rules with empty value
-      const checkRules = (node, baseIndex) => {
-        if (node.rules && node.rules.length) {
-          for (const rule of node.rules) {
-            // rule is like 'background: $color;'
-            const ruleTrim = rule.trim();
-            // skip if not contain ':'
-            if (!ruleTrim.includes(':')) {
-              const pos = indexToLineCol(content, content.indexOf(comp.body) + (comp.body.indexOf(ruleTrim) >= 0 ? comp.body.indexOf(ruleTrim) : 0));
-              issues.push({
-                severity: 'error',
-                message: `Malformed CSS rule '${ruleTrim}' in component '${comp.name}'.`,
-                line: pos.line,
-                column: pos.column,
-                suggestion: 'Ensure rule format: property: value;'
-              });
-              continue;
-            }
-            const parts = ruleTrim.split(':');
-            const prop = parts[0].trim();
-            const valAndSemi = parts.slice(1).join(':').trim();
-            // remove trailing ;
-            const val = valAndSemi.replace(/;$/, '').trim();
-            if (!val) {
-              const pos = indexToLineCol(content, content.indexOf(comp.body) + (comp.body.indexOf(ruleTrim) >= 0 ? comp.body.indexOf(ruleTrim) : 0));
-              issues.push({
-                severity: 'error',
-                message: `Empty value for property '${prop}' in component '${comp.name}'.`,
-                line: pos.line,
-                column: pos.column,
-                suggestion: `Provide a value or a default for variable used in '${prop}'.`
-              });
-            }
-          }
+      walkCondition(test, (c) => {
+        if (c.type === 'var' && !partial && !known(c.name)) {
+          issueAt('error', n.conditionStart + c.index,
+            `when condition references unknown variable '$${c.name}'${where}.`,
+            `Either declare $${c.name} in the ${kind} or fix the condition.`);
         }
-        if (node.children) {
-          for (const child of node.children) checkRules(child, baseIndex);
+        if (c.type !== 'compare' || !ORDERING_OPERATORS.has(c.op)) return;
+        // Literales o defaults de los params que no se pueden comparar con > < >= <=: siempre error
+        const knownValue = (o) => (o.type === 'literal' ? o.value : params.find(p => p.name === o.name)?.defaultValue);
+        const [a, b] = [knownValue(c.left), knownValue(c.right)];
+        try {
+          if (a !== undefined && b !== undefined) compareValues(c.op, a, b);
+          else if (c.left.type === 'literal') compareValues(c.op, a, '0');
+          else if (c.right.type === 'literal') compareValues(c.op, '0', b);
+        } catch (err) {
+          issueAt('error', n.conditionStart + c.index,
+            `${err.message.replace(/\.$/, '')} in when condition '${n.condition}'${where}.`,
+            'Numeric comparisons need numbers with the same unit (or no unit), e.g. when $columns > 3.');
         }
-      };
-      if (ast) {
-        checkRules(ast);
+      });
+    };
+    const checkWhen = (nodes) => {
+      for (const n of nodes) {
+        if (n.type === 'when' && n.condition !== null) checkCondition(n);
+        if (n.children) checkWhen(n.children);
       }
+    };
+    checkWhen(comp.children);
+
+    checkStatements(comp.children, where);
+  }
+
+  // 3) Instances checks
+  for (const inst of instances) {
+    checkStatements(inst.children, ` in instance '${inst.componentName}.${inst.instanceName}'`);
+    const comp = resolved.get(inst.componentName);
+
+    // Si no hay componentes en el archivo, asumimos que viene de un import y no reportamos instancias
+    // desconocidas (salvo `ui.Name`: con los imports resueltos sabemos qué hay en cada namespace)
+    if (!comp) {
+      if (components.length === 0 && !(imported && inst.componentName.includes('.'))) continue;
+      issueAt('error', inst.start,
+        `Instance refers to unknown component '${inst.componentName}'.`,
+        `Ensure component '${inst.componentName}' is defined before instantiating it.`);
+      continue;
     }
-  
-    // 5) Instances checks
-    for (const inst of instances) {
-        const comp = components.find(c => c.name === inst.componentName);
-    
-        // Si no hay componentes en el archivo, asumimos que es CSS plano y no reportamos instancias desconocidas.
-        if (!comp) {
-        if (!components || components.length === 0) {
-            // No hay componentes definidos en este archivo -> saltarnos esta comprobación.
-            continue;
-        }
-    
-        const pos = indexToLineCol(content, content.indexOf(inst.rawBody));
-        issues.push({
-            severity: 'error',
-            message: `Instance refers to unknown component '${inst.componentName}'.`,
-            line: pos.line,
-            column: pos.column,
-            suggestion: `Ensure component '${inst.componentName}' is defined before instantiating it.`
-        });
-        continue;
-        }
-    
-        // instance props not in component params -> warning
-        for (const propName of Object.keys(inst.props)) {
-        if (!comp.params.some(p => p.name === propName)) {
-            const idx = inst.rawBody.indexOf(`$${propName}`);
-            const pos = indexToLineCol(content, content.indexOf(inst.rawBody) + (idx >= 0 ? idx : 0));
-            issues.push({
-            severity: 'warning',
-            message: `Instance '${inst.componentName}.${inst.instanceName}' defines unknown prop '$${propName}'.`,
-            line: pos.line,
-            column: pos.column,
-            suggestion: `Remove or declare '$${propName}' in the component parameters.`
-            });
-        }
+
+    if (unresolved.has(inst.componentName)) continue;
+
+    for (const prop of inst.props) {
+      checkExpression(prop.value, prop.valueStart ?? prop.start, `$${prop.name}`, ` in instance '${inst.componentName}.${inst.instanceName}'`);
     }
+    checkInstanceProps(inst.props, inst.componentName, `${inst.componentName}.${inst.instanceName}`);
   }
-  
-    // Sort issues: errors first, then warnings, by line
-    issues.sort((a, b) => {
-      const sev = (x) => (x.severity === 'error' ? 0 : 1);
-      if (sev(a) !== sev(b)) return sev(a) - sev(b);
-      return (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0);
-    });
-  
-    return issues;
-  }
+
+  // `Card.two { }` dentro de @media / @supports (o de otra regla) no se genera: las instancias van en el nivel superior
+  const checkNestedInstances = (nodes, nested) => {
+    for (const n of nodes) {
+      if (n.type === 'component' || n.type === 'mixin' || n.type === 'instance') continue;
+      // `C.#{$s}` dentro de un @each: la interpolación cuenta como un nombre cualquiera
+      const of = nested && n.type === 'rule' && instanceSelector(n.selector.replace(/#\{[^}]*\}/g, 'x'));
+      if (of && (resolved.has(of.componentName) || /^[A-Z]/.test(of.componentName.split('.').pop()))) {
+        issueAt('error', n.start,
+          `Instance '${n.selector}' must be declared at the top level, not inside another block.`,
+          `Move ${n.selector} out of the block; for a responsive variant put the @media inside the component.`);
+        continue;
+      }
+      if (n.children) checkNestedInstances(n.children, nested || n.type === 'atrule' || n.type === 'rule');
+    }
+  };
+  checkNestedInstances(ast.children, false);
+
+  // Sort issues: errors first, then warnings, by line
+  issues.sort((a, b) => {
+    const sev = (x) => (x.severity === 'error' ? 0 : 1);
+    if (sev(a) !== sev(b)) return sev(a) - sev(b);
+    return (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0);
+  });
+
+  return issues;
+}
 
 // Limpieza / normalización final del CSS para evitar líneas en blanco repetidas
 export function normalizeCss(css) {
@@ -639,116 +930,499 @@ export function normalizeCss(css) {
   return out ? out + '\n' : '';
 }
 
-async function resolveImportsRecursively(content, baseDir, visited = new Set()) {
-  let result = content;
-  let match;
+// ----------------- Imports: resolución y lectura (sobrescribibles desde la API) -----------------
+// Ficheros de tokens (`@import "./tokens.json";`): sólo aportan variables globales
+function defaultReadFile(filePath) {
+  return fs.readFile(filePath, 'utf8');
+}
+
+/**
+ * Aplana un objeto de tokens: { color: { brand: '#07f' } } -> { 'color-brand': '#07f' }.
+ * Acepta el formato de design tokens ({ brand: { $value: '#07f', $type: 'color' } }); las
+ * claves que empiezan por `$` son metadatos y se ignoran. Los arrays se unen con ', '.
+ */
+function flattenTokens(value, prefix = '', out = {}) {
+  if (value === null || value === undefined) return out;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    if (prefix) out[prefix] = Array.isArray(value) ? value.join(', ') : String(value);
+    return out;
+  }
+  const leaf = value.$value ?? value.value;
+  if (leaf !== undefined && typeof leaf !== 'object') return flattenTokens(leaf, prefix, out);
+  for (const [key, child] of Object.entries(value)) {
+    if (key.startsWith('$')) continue;
+    const name = key.replace(/[^a-zA-Z0-9_-]+/g, '-');
+    flattenTokens(child, prefix ? `${prefix}-${name}` : name, out);
+  }
+  return out;
+}
 
-  while ((match = IMPORT_REGEX.exec(result)) !== null) {
-    let importPath = match[1].trim();
-    if (!importPath.endsWith('.axcss')) importPath += '.axcss';
-    const fullPath = path.resolve(baseDir, importPath);
+// .json con ctx.readFile (respeta un readFile en memoria); .js / .mjs / .cjs con import()
+async function loadTokenFile(fullPath, ctx) {
+  if (fullPath.endsWith('.json')) return flattenTokens(JSON.parse(await ctx.readFile(fullPath)));
+  // ?v=<hash del contenido>: en watch / LSP un fichero cambiado se vuelve a importar, y uno sin
+  // cambios reutiliza el módulo ya cargado (Node no libera los módulos: uno por versión, no por compilación)
+  const version = hashContent(await fs.readFile(fullPath));
+  const mod = await import(`${pathToFileURL(fullPath).href}?v=${version}`);
+  return flattenTokens(mod.default ?? mod);
+}
 
-    if (visited.has(fullPath)) {
-      result = result.replace(match[0], '');
-      continue;
-    }
-    visited.add(fullPath);
+// ----------------- Ámbitos (namespaces e imports selectivos) -----------------
 
-    let importedContent = '';
-    try {
-      importedContent = await fs.readFile(fullPath, 'utf8');
-      importedContent = await resolveImportsRecursively(importedContent, path.dirname(fullPath), visited);
-    } catch (e) {
-      logger.warning(` Failed to import "${importPath}": ${e.message}`);
-      importedContent = ''; // <--- importante, reemplaza el @import por vacío
+const isQualified = (name) => name.includes('.');
+
+/**
+ * Ámbito de cada fichero, en orden de dependencia (los importados ya tienen el suyo):
+ * unit.scope = { components, mixins, imported: { components, mixins }, problems }, Maps nombre -> definición.
+ *   @import "x";                                todo lo que ve x (menos sus namespaces)
+ *   @import "x" as ui;                          lo mismo con prefijo: ui.Button, ui.truncate
+ *   @import { Button, Card as UiCard } from "x";  sólo esos nombres (componentes o mixins)
+ * Lo definido en el propio fichero tapa a lo importado. problems: nombres ambiguos, duplicados o
+ * que no existen, como { severity, start, message, suggestion } para el analizador.
+ */
+function buildScopes(units) {
+  const KINDS = { components: 'Component', mixins: 'Mixin' };
+  for (const unit of units) {
+    const imported = { components: new Map(), mixins: new Map() };
+    const origin = new Map(); // `kind:nombre` -> ruta del import que lo trajo
+    const namespaces = new Map();
+    const problems = [];
+    const problem = (severity, start, message, suggestion) => problems.push({ severity, start, message, suggestion });
+
+    const bring = (kind, name, def, node) => {
+      const previous = imported[kind].get(name);
+      if (previous && previous !== def) {
+        problem('warning', node.pathStart,
+          `${KINDS[kind]} '${name}' is imported from both "${origin.get(`${kind}:${name}`)}" and "${node.path}"; the last import wins.`,
+          `Import one of them with a namespace (\`@import "${node.path}" as name;\`) or pick names with \`@import { ... } from\`.`);
+      }
+      imported[kind].set(name, def);
+      origin.set(`${kind}:${name}`, node.path);
+    };
+
+    for (const { node, unit: target } of unit.links ?? []) {
+      if (!target || !target.scope) continue; // import roto o ciclo
+      const exported = target.scope;
+      if (node.names) {
+        for (const entry of node.names) {
+          const kind = Object.keys(KINDS).find(k => exported[k].has(entry.name));
+          if (!kind) {
+            problem('error', entry.start, `'${entry.name}' is not a component or mixin of "${node.path}".`,
+              `Check the names in \`@import { ... } from "${node.path}"\`.`);
+            continue;
+          }
+          bring(kind, entry.as ?? entry.name, exported[kind].get(entry.name), node);
+        }
+        continue;
+      }
+      if (node.namespace) {
+        if (namespaces.has(node.namespace)) {
+          problem('error', node.namespaceStart, `Namespace '${node.namespace}' is already used for "${namespaces.get(node.namespace)}".`,
+            'Pick a different name after `as`.');
+          continue;
+        }
+        namespaces.set(node.namespace, node.path);
+      }
+      for (const kind of Object.keys(KINDS)) {
+        for (const [name, def] of exported[kind]) {
+          if (!isQualified(name)) bring(kind, node.namespace ? `${node.namespace}.${name}` : name, def, node);
+        }
+      }
     }
 
-    result = result.replace(match[0], importedContent || '');
+    const scope = { components: new Map(imported.components), mixins: new Map(imported.mixins), imported, problems };
+    for (const kind of Object.keys(KINDS)) {
+      for (const [name, def] of unit.own[kind]) {
+        if (imported[kind].has(name)) {
+          problem('warning', def.node.nameStart,
+            `${KINDS[kind]} '${name}' is also imported from "${origin.get(`${kind}:${name}`)}"; the local definition wins.`,
+            'Rename one of them, or import the other file with a namespace or only the names you need.');
+        }
+        scope[kind].set(name, def);
+      }
+    }
+    unit.scope = scope;
   }
-
-  return result;
 }
 
+// `extends` con ámbitos: el padre se busca en el ámbito del fichero del hijo (dos ficheros
+// pueden tener su propio `Button`). Deja params y children aplanados, como applyInheritance()
+function applyScopedInheritance(units) {
+  const defs = units.flatMap(unit => [...unit.own.components.values()].map(def => ({ def, unit })));
+  const keyOf = new Map(defs.map(({ def }, i) => [def, `#${i}`]));
+  const keyed = new Map(defs.map(({ def, unit }) => {
+    const parent = def.extends ? unit.scope.components.get(def.extends) : null;
+    return [keyOf.get(def), { ...def, extends: parent ? keyOf.get(parent) : def.extends }];
+  }));
+  const { resolved } = resolveInheritance(keyed);
+  for (const { def } of defs) {
+    const entry = resolved.get(keyOf.get(def));
+    def.params = entry.params.map(p => ({ name: p.name, defaultValue: p.defaultValue }));
+    def.children = entry.children;
+  }
+}
 
-// ----------------- Process file (AHORA conserva CSS normal) -----------------
-export async function processFile(filePath) {
-  try {
-    const content = await fs.readFile(filePath, 'utf8');
+// Un fichero traído con @use que después llega por @import (directa o indirectamente) sí emite
+function markEmitted(unit) {
+  if (!unit || unit.emit) return;
+  unit.emit = true;
+  for (const link of unit.links) if (!link.node.use) markEmitted(link.unit);
+}
 
-    // 0) Analyzer (igual que antes)
-    const issues = analyzeContent(content);
-    const fatal = issues.filter(i => i.severity === 'error');
-    if (fatal.length) {
-      const messages = fatal.map(f => `${f.message} (line ${f.line}:${f.column})`).join('\n');
-      throw new Error(`Syntax errors found:\n${messages}`);
-    } else {
-      for (const w of issues.filter(i => i.severity === 'warning')) {
-        logger.warning(`${w.message} (line ${w.line}:${w.column})`);
+/**
+ * Recorre los @import / @use del AST en profundidad y añade a `out` las fuentes importadas en
+ * orden de dependencia: { file, content, ast, tokens?, emit, links }. Cada fichero aparece una
+ * sola vez (visited: ruta -> unidad; previene ciclos y duplicados), pero sólo dentro de esta
+ * compilación: otra entrada del build que importe el mismo fichero lo vuelve a incluir.
+ * emit: el fichero aporta su CSS y sus instancias al bundle (@import). Con @use sólo aporta
+ * definiciones (componentes, mixins, variables), y todo lo que importa él tampoco emite.
+ * Los ficheros de tokens (.json / .js) llegan con `tokens` y un AST vacío.
+ * Devuelve los imports resueltos del fichero, [{ node, unit }] (unit es null en un ciclo o si no
+ * se pudo leer): de ahí salen markEmitted() y los ámbitos de buildScopes().
+ * stack: la cadena de @import hasta `importer`, para avisar de los ciclos (a -> b -> a).
+ */
+async function collectImportedSources(content, ast, importer, ctx, visited, emit = true, out = [], stack = [importer]) {
+  const links = [];
+
+  for (const node of ast.children.filter(n => n.type === 'import')) {
+    const specifier = node.path.trim();
+    const fail = (message, suggestion) => {
+      const pos = indexToLineCol(content, node.pathStart);
+      ctx.diagnostics.push({ severity: 'error', message, file: importer, line: pos.line, column: pos.column, suggestion });
+    };
+    let fullPath = ctx.resolveImport ? await ctx.resolveImport(specifier, importer) : null;
+    if (!fullPath) {
+      try {
+        fullPath = resolveImportPath(specifier, importer, ctx.resolveOptions);
+      } catch (e) {
+        if (!(e instanceof ResolveError)) throw e;
+        // cuando aparezca el fichero, el que importa debe recompilarse
+        if (e.candidate) ctx.dependencies.add(e.candidate);
+        fail(e.message, 'Check the import path: relative to the importing file, an `alias` from axcss.config or a package in node_modules.');
+        continue;
       }
     }
+    const emitChild = emit && !node.use;
 
-    // 1) obtener CSS "normal" (todo lo que no sea componente ni instancia)
-    let plainCSS = stripComponentAndInstanceBlocks(content);
+    if (visited.has(fullPath)) {
+      const unit = visited.get(fullPath);
+      if (stack.includes(fullPath)) {
+        const chain = [...stack.slice(stack.indexOf(fullPath)), fullPath].map(f => path.relative(ctx.resolveOptions.root, f) || f);
+        const pos = indexToLineCol(content, node.pathStart);
+        ctx.diagnostics.push({
+          severity: 'warning',
+          message: `Circular @import: ${chain.join(' -> ')}.`,
+          file: importer,
+          line: pos.line,
+          column: pos.column,
+          suggestion: 'Move what both files need into a separate file and import it from each of them.'
+        });
+      }
+      links.push({ node, unit });
+      if (emitChild) markEmitted(unit);
+      continue;
+    }
+    visited.set(fullPath, null);
 
-    // 1.a) quitar directivas @import del CSS plano (evita errors en PostCSS)
-    plainCSS = stripImportStatements(plainCSS);
+    ctx.dependencies.add(fullPath);
+    let importedContent;
+    let tokens;
+    try {
+      if (TOKEN_FILE.test(fullPath)) tokens = await loadTokenFile(fullPath, ctx);
+      else importedContent = await ctx.readFile(fullPath);
+    } catch (e) {
+      fail(`Failed to import "${specifier}": ${e.message}`);
+      continue;
+    }
 
-    // 1.b) Limpiar comentarios y normalizar
-    plainCSS = stripCssComments(plainCSS);
-    plainCSS = normalizeCss(plainCSS);
+    const unit = tokens
+      ? { file: fullPath, content: '', ast: parse('').ast, tokens, emit: emitChild, links: [] }
+      : { file: fullPath, content: importedContent, ast: parse(importedContent).ast, emit: emitChild, links: [] };
+    visited.set(fullPath, unit);
+    if (!tokens) unit.links = await collectImportedSources(unit.content, unit.ast, fullPath, ctx, visited, emitChild, out, [...stack, fullPath]);
+    out.push(unit);
+    links.push({ node, unit });
+  }
 
-    // 2) Resolver imports y reunir TODAS las definiciones de componentes (importadas + locales)
-    // 0) Leer contenido y resolver imports antes de parsear
-    const rawContent = await fs.readFile(filePath, 'utf8');
-    const resolvedContent = await resolveImportsRecursively(rawContent, path.dirname(filePath));
+  return links;
+}
 
-    // Ahora parseamos componentes desde todo el contenido (incluye imports)
-    const components = new Map();
-    for (const def of parseComponentDefinition(resolvedContent)) {
-      components.set(def.name, def);
+// ----------------- Compile (API pública: sin console, sin process.exit) -----------------
+/**
+ * Compila código .axcss a CSS.
+ * options:
+ * - filename: ruta del fichero (para resolver @import / @use y en diagnostics)
+ * - resolveImport(specifier, importer): devuelve la ruta absoluta del import (o null -> resolución por defecto)
+ * - alias: { '~': './src' } — prefijos de @import / @use, relativos a `root` (ver utils/resolve.js)
+ * - readFile(path): lee un fichero importado (por defecto fs.readFile utf8)
+ * - classNames: ver `classNames` en axcss.config
+ * - root: directorio base para el hash de `classNames` (por defecto cwd)
+ * - postcss: { plugins } opcional, se aplica al CSS final
+ * - minify: minifica el CSS final, después de los plugins (ver minify.js)
+ * - purge: { used, safelist } — las instancias que no aparecen en `used` (clases / palabras de la
+ *   app) ni en `safelist` no generan CSS y se listan en `purged` (ver utils/purge.js)
+ * - map: false | true | 'inline' — source map v3 hacia los .axcss (incluidos los importados)
+ * - to: ruta del .css de salida (rutas de `sources` y comentario sourceMappingURL)
+ * - analyzeOnly: sólo parser + imports + analizador (lo usa `axcss check`); css queda vacío
+ * Devuelve { css, map, diagnostics, dependencies, components, mixins, instances, classes, variables, purged }.
+ * classes: { instance: clase, 'Component.instance': clase } (si dos instancias se llaman igual, la
+ * clave corta es la primera).
+ * Si hay errores (del analizador o al generar: expresiones, colores, condiciones), css queda vacío
+ * y los errores van en diagnostics.
+ */
+export async function compile(source, options = {}) {
+  const filename = options.filename ? path.resolve(options.filename) : undefined;
+  const diagnostics = [];
+  const ctx = {
+    resolveImport: options.resolveImport,
+    resolveOptions: { root: options.root ? path.resolve(options.root) : process.cwd(), alias: options.alias },
+    readFile: options.readFile || defaultReadFile,
+    diagnostics,
+    dependencies: new Set()
+  };
+  const result = { css: '', map: null, diagnostics, dependencies: [], components: [], mixins: [], instances: [], classes: {}, variables: {}, purged: [] };
+
+  // 0) Parser + imports (importados primero, local al final). El mismo AST sirve para todo lo demás
+  const { ast, errors } = parse(source);
+  const visited = new Map(filename ? [[filename, null]] : []);
+  const sources = [];
+  const links = await collectImportedSources(source, ast, filename, ctx, visited, true, sources);
+  const units = [...sources, { file: filename, content: source, ast, emit: true, links }];
+  result.dependencies = [...ctx.dependencies];
+  const mainUnit = units[units.length - 1];
+
+  // Un Input de PostCSS por fichero: da fichero/línea/columna (y sourcesContent) a los source maps
+  const importedVariables = new Set();
+  for (const unit of units) {
+    unit.input = new Input(unit.content, { from: unit.file });
+    unit.own = { components: new Map(), mixins: new Map() };
+    if (unit !== mainUnit) {
+      for (const name of Object.keys(unit.tokens || {})) importedVariables.add(name);
+      for (const node of unit.ast.children) if (node.type === 'variable') importedVariables.add(node.name);
     }
+    for (const node of unit.ast.children) {
+      if (node.type !== 'mixin' || !node.name) continue;
+      const def = mixinFromNode(node);
+      def.__source = unit.file;
+      tagInput(node.children, unit.input);
+      unit.own.mixins.set(def.name, def);
+    }
+    for (const node of unit.ast.children) {
+      if (node.type !== 'component' || !node.name) continue;
+      const def = componentFromNode(node, unit.content);
+      def.__source = unit.file;
+      def.__input = unit.input;
+      tagInput(node.children, unit.input); // los nodos heredados conservan su fichero de origen
+      unit.own.components.set(def.name, def);
+    }
+  }
 
+  // Qué componentes / mixins ve cada fichero (namespaces, imports selectivos); `extends` e
+  // `@include` se resuelven en el ámbito del fichero que los escribe
+  buildScopes(units);
+  applyScopedInheritance(units);
+  for (const unit of units) {
+    linkMixins(unit.ast.children, unit.scope.mixins);
+    for (const [name, cycle] of findMixinCycles(unit.scope.mixins)) {
+      if (unit.own.mixins.has(name)) unit.own.mixins.get(name).cycle = cycle; // los importados, en su fichero
+    }
+  }
 
-    // 3) parsear instancias del archivo actual
-    const instances = parseComponentInstances(resolvedContent);
-
-    let generatedCSS = '';
-    const usedClassNames = new Set();
+  // 1) Analyzer, conociendo lo importado (padres de `extends`, instancias) y los conflictos de nombres.
+  // Los componentes importados llegan ya con la herencia aplicada
+  const { scope } = mainUnit;
+  const imported = new Map([...scope.imported.components].map(([name, def]) => [name, { ...def, extends: undefined }]));
+  const analyzed = analyzeAst(ast, source, errors, {
+    components: imported,
+    mixins: scope.imported.mixins,
+    variables: importedVariables,
+    problems: scope.problems
+  });
+  for (const issue of analyzed) diagnostics.push({ ...issue, file: filename });
+  if (options.analyzeOnly || diagnostics.some(d => d.severity === 'error')) return result;
+
+  // Variables globales en orden de import: tokens y `$x: valor;` de nivel superior (el último gana)
+  const globals = {};
+  for (const unit of units) {
+    Object.assign(globals, unit.tokens);
+    for (const node of unit.ast.children) {
+      if (node.type !== 'variable') continue;
+      try {
+        globals[node.name] = evaluateValue(node.value, globals).trim();
+      } catch (err) {
+        const pos = indexToLineCol(unit.content, node.valueStart);
+        diagnostics.push({ severity: 'error', message: `Invalid value for global $${node.name}: ${err.message}`, file: unit.file, ...pos });
+        globals[node.name] = processVariables(node.value, globals).trim();
+      }
+    }
+  }
+  result.variables = { ...globals };
+
+  // `name.instance` en minúsculas sólo es instancia si el componente existe (también importado)
+  // Los bucles de nivel superior se desenrollan aquí: `Button.#{$size}` dentro de un @each es una instancia por vuelta
+  for (const unit of units) {
+    unit.instances = [];
+    if (!unit.emit) continue; // @use: sólo definiciones, ni CSS ni instancias
+    const locate = (node, end) => sourceAt(unit.input, node.start, end);
+    const report = (message, where) => diagnostics.push({ severity: 'error', message, file: unit.file, ...where });
+    unit.children = expandBlock(unit.ast.children, globals, report, locate).map(node => {
+      if (node.type !== 'rule' || (!node.scope && !node.selector.includes('#{'))) return node;
+      // los errores de interpolación los reporta plainNodes() si la regla no es una instancia
+      const instanceOf = instanceSelector(substitute(node.selector, { ...globals, ...node.scope }, () => {}));
+      return instanceOf ? { ...node, instanceOf } : node;
+    });
+    resolveInstances({ children: unit.children }, new Set(unit.scope.components.keys()));
+    for (const node of unit.children) {
+      if (node.type !== 'instance') continue;
+      const pos = indexToLineCol(unit.content, node.start);
+      unit.instances.push({ ...instanceFromNode(node, unit.content), __source: unit.file, __input: unit.input, line: pos.line, column: pos.column });
+    }
+  }
 
-    for (const instance of instances) {
-      const component = components.get(instance.componentName);
+  result.components = units.flatMap(unit => [...unit.own.components.values()]).map(c => ({
+    name: c.name,
+    params: c.params.map(p => ({ name: p.name, defaultValue: p.defaultValue })),
+    extends: c.extends ?? null,
+    file: c.__source
+  }));
+  result.mixins = units.flatMap(unit => [...unit.own.mixins.values()]).map(m => ({
+    name: m.name,
+    params: m.params.map(p => ({ name: p.name, defaultValue: p.defaultValue })),
+    file: m.__source
+  }));
+
+  // Nombres de clase e instancias purgadas: compartidos por todos los ficheros del resultado
+  const usedClassNames = new Set();
+  const keepInstance = options.purge ? createPurgeFilter(options.purge) : null;
+
+  // 2) y 3) Por fichero, en orden de dependencia (los @import primero, cada uno una vez): su CSS
+  // "normal" (todo lo que no sea componente ni instancia) y después sus instancias
+  const root = postcss.root();
+  for (const unit of units) {
+    if (!unit.emit) continue;
+    const plainReport = (message, where) => diagnostics.push({ severity: 'error', message, file: unit.file, ...where });
+    root.append(plainNodes(unit.children, unit.input, globals, plainReport));
+
+    for (const instance of unit.instances) {
+      const at = { file: instance.__source, line: instance.line, column: instance.column };
+      const component = unit.scope.components.get(instance.componentName);
       if (!component) {
-        logger.warning(` Component "${instance.componentName}" not found for instance "${instance.instanceName}" in ${filePath} — skipping.`);
+        diagnostics.push({
+          severity: 'warning',
+          message: `Component "${instance.componentName}" not found for instance "${instance.instanceName}" — skipping.`,
+          ...at
+        });
         continue;
       }
 
-      let base = instance.instanceName.toLowerCase();
+      // [file] / [hash]: el fichero que declara la instancia (una instancia importada se llama igual en todos los CSS)
+      // [component]: el nombre del componente, sin el namespace (`ui.Button` -> Button)
+      const naming = {
+        componentName: component.name,
+        instanceName: instance.instanceName,
+        file: instance.__source ?? filename,
+        root: options.root
+      };
+      const base = formatClassName(options.classNames, naming);
+      // Choque con una clase anterior: sufijo con el hash de la propia instancia, no un contador,
+      // así no cambia cuando otros ficheros añaden (o quitan) instancias con el mismo nombre
       let unique = base;
+      if (usedClassNames.has(unique)) unique = `${base}-${classNameHash(naming)}`;
       let counter = 1;
-      while (usedClassNames.has(unique)) unique = `${base}-${counter++}`;
+      while (usedClassNames.has(unique)) unique = `${base}-${classNameHash(naming)}-${counter++}`;
       usedClassNames.add(unique);
 
-      // generar CSS para la instancia
-      let instanceCSS = processComponentInstance(component, instance, unique);
+      // where: posición exacta (p.ej. la declaración dentro del componente) en lugar de la instancia
+      const report = (message, where) => diagnostics.push(where
+        ? { severity: 'error', message: `${message} (instance ${instance.componentName}.${instance.instanceName})`, ...where }
+        : { severity: 'error', message, ...at });
+      const nodes = buildInstanceNodes(component, instance, unique, report, globals);
+
+      result.instances.push({
+        component: instance.componentName,
+        instance: instance.instanceName,
+        className: unique,
+        file: instance.__source
+      });
+      result.classes[`${instance.componentName}.${instance.instanceName}`] = unique;
+      if (!(instance.instanceName in result.classes)) result.classes[instance.instanceName] = unique;
 
-      // limpiar y normalizar CSS generado
-      instanceCSS = stripCssComments(instanceCSS);
-      instanceCSS = normalizeCss(instanceCSS);
+      // Sin usar en la app: la clase sigue en `classes` (los imports no se rompen), pero sin CSS
+      if (keepInstance && !keepInstance({ component: instance.componentName, instance: instance.instanceName, className: unique })) {
+        result.purged.push({ component: instance.componentName, instance: instance.instanceName, className: unique, file: instance.__source });
+        continue;
+      }
 
-      if (instanceCSS) {
-        generatedCSS += `/* Instance: ${instance.componentName}.${instance.instanceName} */\n${instanceCSS}\n`;
+      if (nodes.length) {
+        root.append(nodes);
       } else {
-        logger.warning(` Generated CSS empty for ${component.name}.${instance.instanceName} — check variables / when conditions.`);
+        diagnostics.push({
+          severity: 'warning',
+          message: `Generated CSS empty for ${component.name}.${instance.instanceName} — check variables / when conditions.`,
+          ...at
+        });
       }
     }
+  }
+
+  // Errores al generar (expresiones, colores, condiciones): igual que los del analizador, sin CSS
+  if (diagnostics.some(d => d.severity === 'error')) return result;
+
+  formatRoot(root);
+
+  // 4) Serializar (+ PostCSS opcional: autoprefixer, etc.). Los source maps se encadenan a través de los plugins.
+  // options.map: false | true (mapa aparte, result.map) | 'inline'; options.to: ruta del .css de salida
+  const map = options.map
+    ? { inline: options.map === 'inline', annotation: options.map === 'inline' || Boolean(options.to), sourcesContent: true }
+    : false;
+  const processOptions = { from: filename, to: options.to, map };
+  try {
+    const plugins = [...(options.postcss?.plugins ?? []), ...(options.minify ? [minify()] : [])];
+    const processed = plugins.length
+      ? await postcss(plugins).process(root, processOptions)
+      : root.toResult(processOptions);
+    result.css = root.nodes.length ? processed.css : '';
+    result.map = processed.map && root.nodes.length ? processed.map.toJSON() : null;
+    for (const w of processed.warnings()) {
+      diagnostics.push({ severity: 'warning', message: w.text, file: w.node?.source?.input.file ?? filename, line: w.line, column: w.column });
+    }
+  } catch (err) {
+    diagnostics.push({
+      severity: 'error',
+      message: `PostCSS failed: ${err.reason || err.message}`,
+      file: err.file ?? filename,
+      line: err.line,
+      column: err.column
+    });
+  }
+
+  return result;
+}
+
+// Igual que compile() pero leyendo desde disco
+export async function compileFile(filePath, options = {}) {
+  const readFile = options.readFile || defaultReadFile;
+  const source = await readFile(path.resolve(filePath));
+  return compile(source, { ...options, filename: filePath });
+}
 
-    // 4) combinar y eliminar imports remanentes (si quedasen)
-    let combined = [plainCSS, generatedCSS].filter(Boolean).join('\n\n');
-    combined = stripImportStatements(combined);  // quita @import sobrantes
-    const final = normalizeCss(combined);
+// ----------------- Process file (AHORA conserva CSS normal) -----------------
+// Wrapper histórico sobre compileFile(): loguea warnings y lanza "Syntax errors found:" si hay errores.
+// options.classNames: ver `classNames` en axcss.config (plantilla + case)
+export async function processFile(filePath, options = {}) {
+  try {
+    const { css, diagnostics } = await compileFile(filePath, options);
 
+    const fatal = diagnostics.filter(d => d.severity === 'error');
+    if (fatal.length) {
+      const messages = fatal.map(f => `${f.message} (line ${f.line}:${f.column})`).join('\n');
+      throw new Error(`Syntax errors found:\n${messages}`);
+    }
+    for (const w of diagnostics.filter(d => d.severity === 'warning')) {
+      logger.warning(`${w.message} (line ${w.line}:${w.column})`);
+    }
 
-    return final;
+    return css;
 
   } catch (err) {
     logger.error(`Error processing file ${filePath}:`, err);
@@ -763,6 +1437,7 @@ export async function processContentString(content) {
   const componentDefs = parseComponentDefinition(content);
   const components = new Map();
   for (const def of componentDefs) components.set(def.name, def);
+  applyInheritance(components);
   const instances = parseComponentInstances(content);
   let generatedCSS = '';
   const usedClassNames = new Set();
@@ -0,0 +1,217 @@
+// conditions.js
+// Condiciones de `when`:
+//   when $variant == primary and $size != small { ... }
+//   when ($a == 1 or $b == 2) and not $disabled { ... }
+//   when $size in (lg, xl) { ... }      when $size not in (sm, xs) { ... }
+//   when $columns > 3 { ... }           when $gap >= 8px { ... }
+//   when $rounded { ... }               (verdadero salvo '', false, null, none, 0)
+// Comparaciones numéricas: entienden unidades (8px > 4px); un lado sin unidad se compara con
+// cualquier unidad, pero 1rem > 8px es un error.
+
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+export const ORDERING_OPERATORS = new Set(['>', '<', '>=', '<=']);
+const KEYWORDS = new Set(['and', 'or', 'not', 'in']);
+const FALSY = new Set(['', 'false', 'null', 'none', '0']);
+const NUMBER = /^([+-]?(?:\d+\.?\d*|\.\d+))([a-zA-Z%]*)$/;
+
+// Error de una condición; index: offset dentro del texto de la condición
+export class ConditionError extends Error {
+  constructor(message, index = 0) {
+    super(message);
+    this.name = 'ConditionError';
+    this.index = index;
+  }
+}
+
+function lex(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const start = i;
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch, value: ch, index: start });
+      i++;
+      continue;
+    }
+    const op = COMPARISON_OPERATORS.find(o => text.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, index: start });
+      i += op.length;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const close = text.indexOf(ch, i + 1);
+      if (close === -1) throw new ConditionError('Unclosed string in condition.', start);
+      tokens.push({ type: 'literal', value: text.slice(i + 1, close), index: start });
+      i = close + 1;
+      continue;
+    }
+    while (i < text.length && !/[\s(),=!<>'"]/.test(text[i])) i++;
+    if (i === start) throw new ConditionError(`Unexpected '${ch}' in condition.`, start);
+    const word = text.slice(start, i);
+    if (word.startsWith('$')) tokens.push({ type: 'var', value: word.slice(1), index: start });
+    else if (KEYWORDS.has(word)) tokens.push({ type: word, value: word, index: start });
+    else tokens.push({ type: 'literal', value: word, index: start });
+  }
+  return tokens;
+}
+
+/**
+ * Parsea el texto de una condición `when`. Lanza ConditionError si no es válida.
+ * Nodos: or / and { left, right }, not { expr }, compare { op, left, right },
+ * in { negated, left, list[] }, truthy { operand }; operandos: var { name } | literal { value }.
+ * Todos llevan `index` (offset dentro de `text`).
+ */
+export function parseCondition(text) {
+  const tokens = lex(text || '');
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const end = () => (tokens.length ? tokens[tokens.length - 1].index + tokens[tokens.length - 1].value.length : 0);
+  const expect = (type, what) => {
+    const tok = tokens[pos];
+    if (!tok || tok.type !== type) throw new ConditionError(`Expected ${what} in condition.`, tok ? tok.index : end());
+    pos++;
+    return tok;
+  };
+
+  const operand = () => {
+    const tok = tokens[pos];
+    if (!tok || (tok.type !== 'var' && tok.type !== 'literal')) {
+      throw new ConditionError('Expected a $variable or a value in condition.', tok ? tok.index : end());
+    }
+    pos++;
+    return tok.type === 'var'
+      ? { type: 'var', name: tok.value, index: tok.index }
+      : { type: 'literal', value: tok.value, index: tok.index };
+  };
+
+  const primary = () => {
+    const tok = peek();
+    if (tok && tok.type === '(') {
+      pos++;
+      const expr = or();
+      expect(')', '`)`');
+      return expr;
+    }
+    const left = operand();
+    const next = peek();
+    if (next && next.type === 'op') {
+      pos++;
+      return { type: 'compare', op: next.value, left, right: operand(), index: left.index };
+    }
+    const negated = Boolean(next && next.type === 'not' && tokens[pos + 1] && tokens[pos + 1].type === 'in');
+    if (negated || (next && next.type === 'in')) {
+      pos += negated ? 2 : 1;
+      expect('(', '`(` after `in`');
+      const list = [];
+      if (!peek() || peek().type !== ')') {
+        list.push(operand());
+        while (peek() && peek().type === ',') {
+          pos++;
+          list.push(operand());
+        }
+      }
+      expect(')', '`)` to close the `in` list');
+      if (!list.length) throw new ConditionError('Empty `in ()` list in condition.', left.index);
+      return { type: 'in', negated, left, list, index: left.index };
+    }
+    return { type: 'truthy', operand: left, index: left.index };
+  };
+
+  const not = () => {
+    const tok = peek();
+    if (tok && tok.type === 'not') {
+      pos++;
+      return { type: 'not', expr: not(), index: tok.index };
+    }
+    return primary();
+  };
+
+  const binary = (type, next) => () => {
+    let left = next();
+    while (peek() && peek().type === type) {
+      pos++;
+      left = { type, left, right: next(), index: left.index };
+    }
+    return left;
+  };
+  const and = binary('and', not);
+  const or = binary('or', and);
+
+  if (!tokens.length) throw new ConditionError('Empty condition.', 0);
+  const ast = or();
+  if (pos < tokens.length) throw new ConditionError(`Unexpected '${tokens[pos].value}' in condition.`, tokens[pos].index);
+  return ast;
+}
+
+// Recorre la condición: callback(node) para cada nodo (incluidos operandos)
+export function walkCondition(node, callback) {
+  callback(node);
+  if (node.type === 'or' || node.type === 'and') {
+    walkCondition(node.left, callback);
+    walkCondition(node.right, callback);
+  } else if (node.type === 'not') {
+    walkCondition(node.expr, callback);
+  } else if (node.type === 'compare') {
+    walkCondition(node.left, callback);
+    walkCondition(node.right, callback);
+  } else if (node.type === 'in') {
+    walkCondition(node.left, callback);
+    node.list.forEach(item => walkCondition(item, callback));
+  } else if (node.type === 'truthy') {
+    walkCondition(node.operand, callback);
+  }
+}
+
+// '8px' -> { number: 8, unit: 'px' } (null si no es numérico)
+export function parseNumber(value) {
+  const m = String(value ?? '').trim().match(NUMBER);
+  return m ? { number: parseFloat(m[1]), unit: m[2].toLowerCase() } : null;
+}
+
+/**
+ * Compara dos valores. Si ambos son numéricos y las unidades son compatibles compara números,
+ * si no, `==` / `!=` comparan como texto. Lanza ConditionError en comparaciones de orden imposibles.
+ */
+export function compareValues(op, a, b, index = 0) {
+  const na = parseNumber(a);
+  const nb = parseNumber(b);
+  const compatible = na && nb && (na.unit === nb.unit || !na.unit || !nb.unit);
+
+  if (op === '==' || op === '!=') {
+    const equal = compatible ? na.number === nb.number : String(a) === String(b);
+    return op === '==' ? equal : !equal;
+  }
+  if (!na || !nb) {
+    const bad = na ? b : a;
+    throw new ConditionError(`Cannot compare '${bad}' with '${op}': not a number.`, index);
+  }
+  if (!compatible) throw new ConditionError(`Cannot compare '${a}' ${op} '${b}': different units.`, index);
+  if (op === '>') return na.number > nb.number;
+  if (op === '<') return na.number < nb.number;
+  if (op === '>=') return na.number >= nb.number;
+  return na.number <= nb.number;
+}
+
+// Evalúa una condición ya parseada con los props efectivos de la instancia
+export function evaluateCondition(node, props) {
+  const value = (o) => (o.type === 'var' ? props[o.name] : o.value);
+  switch (node.type) {
+    case 'or': return evaluateCondition(node.left, props) || evaluateCondition(node.right, props);
+    case 'and': return evaluateCondition(node.left, props) && evaluateCondition(node.right, props);
+    case 'not': return !evaluateCondition(node.expr, props);
+    case 'compare': return compareValues(node.op, String(value(node.left) ?? ''), String(value(node.right) ?? ''), node.index);
+    case 'in': {
+      const left = String(value(node.left) ?? '');
+      const found = node.list.some(item => compareValues('==', left, String(value(item) ?? '')));
+      return node.negated ? !found : found;
+    }
+    case 'truthy': {
+      const v = value(node.operand);
+      return v !== undefined && !FALSY.has(String(v).trim());
+    }
+    default: return false;
+  }
+}
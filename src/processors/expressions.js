@@ -0,0 +1,458 @@
+// expressions.js
+// Expresiones en valores de componentes (declaraciones y defaults de parámetros):
+//   padding: $size * 2;          margin: -$gap;          width: ($col + 1) * 10%;
+//   gap: min($gap, 12px);        font-size: round($size * 1.2);   width: percentage(1 / 3);
+//   background: darken($color, 10%);   (funciones de color: colorFunctions.js)
+// - `+ - * /` con paréntesis. `+` y `-` son operadores si tienen espacio a ambos lados
+//   (o a ninguno): `$a - $b` resta, `1px -2px` es una lista de dos valores.
+// - `/` sólo divide si uno de los lados es una $variable, un paréntesis o una función,
+//   o si está dentro de paréntesis: `font: 12px/1.5` y `grid-area: 1 / 3` se quedan igual.
+// - Unidades: px/in/cm/mm/pt/pc, s/ms y deg/rad/grad/turn se convierten entre sí;
+//   `1rem + 4px` -> `calc(1rem + 4px)`; `2px * 3px` o `1rem / 2px` son errores.
+// - Lo que no se puede calcular (palabras, colores, funciones CSS) se deja tal cual, con las
+//   variables sustituidas. El texto original se conserva byte a byte donde no hay nada que calcular.
+// - Interpolación: `#{expr}` se evalúa primero y se pega al texto de alrededor
+//   (`.mt-#{$i}`, `#{$n * 10}%`); los strings pierden las comillas.
+
+import { COLOR_FUNCTIONS, applyColorFunction } from './colorFunctions.js';
+
+const UNIT_GROUPS = [
+  { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6, pt: 4 / 3, pc: 16 },
+  { ms: 1, s: 1000 },
+  { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 },
+  { hz: 1, khz: 1000 }
+];
+// Funciones CSS cuyo contenido no se evalúa (sólo se sustituyen variables)
+const RAW_FUNCTIONS = new Set(['calc', 'url', 'var', 'env', 'attr', 'format', 'local']);
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[a-zA-Z]+|%)?/;
+const WORD_END = /[\s(),*/+'"$]/;
+
+export class ExpressionError extends Error {
+  constructor(message, index = 0) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.index = index;
+  }
+}
+
+// ----------------- Lexer -----------------
+function matchingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'") {
+      i = skipString(text, i);
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Índice de la comilla de cierre del string que empieza en `start`
+function skipString(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') { i++; continue; }
+    if (text[i] === text[start]) return i;
+  }
+  throw new ExpressionError('Unclosed string.', start);
+}
+
+function lex(text) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, start, end, extra) => {
+    tokens.push({ type, start, end, text: text.slice(start, end), spaceBefore: start > 0 && /\s/.test(text[start - 1]), ...extra });
+    i = end;
+  };
+  const isValue = (t) => t && ['num', 'var', 'word', 'string', 'raw', ')'].includes(t.type);
+
+  while (i < text.length) {
+    const ch = text[i];
+    const start = i;
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '"' || ch === "'") { push('string', start, skipString(text, start) + 1); continue; }
+    if (ch === '(' || ch === ')' || ch === ',') { push(ch, start, start + 1); continue; }
+    if (ch === '*' || ch === '/' || ch === '+') { push('op', start, start + 1); continue; }
+
+    if (ch === '$') {
+      const m = text.slice(start).match(/^\$([a-zA-Z0-9_-]+)/);
+      if (!m) throw new ExpressionError('Expected a variable name after `$`.', start);
+      push('var', start, start + m[0].length, { name: m[1] });
+      continue;
+    }
+
+    if (ch === '-') {
+      const next = text[start + 1] || '';
+      // signo de un número: `-2px`, `(-1)`, `1px -2px`; pero `3px-2px` es una resta
+      const signed = /[\d.]/.test(next) && (!isValue(tokens[tokens.length - 1]) || /\s/.test(text[start - 1]));
+      // `-webkit-box` y `--custom` son palabras; el resto, operador
+      if (!signed && !/[a-zA-Z_\-\\]/.test(next)) { push('op', start, start + 1); continue; }
+    }
+
+    const num = text.slice(start).match(NUMBER);
+    if (num) {
+      const [, value, unit] = num[0].match(/^([+-]?(?:\d+\.?\d*|\.\d+))(.*)$/);
+      push('num', start, start + num[0].length, { value: parseFloat(value), unit: unit.toLowerCase() });
+      continue;
+    }
+
+    let end = start;
+    while (end < text.length && !WORD_END.test(text[end])) {
+      if (text[end] === '\\') end++;
+      end++;
+    }
+    if (end === start) throw new ExpressionError(`Unexpected '${ch}'.`, start);
+
+    if (text[end] === '(') {
+      const name = text.slice(start, end).toLowerCase();
+      if (RAW_FUNCTIONS.has(name)) {
+        const close = matchingParen(text, end);
+        if (close === -1) throw new ExpressionError(`Missing ')' for ${name}(.`, start);
+        push('raw', start, close + 1);
+      } else {
+        push('func', start, end + 1, { name });
+      }
+      continue;
+    }
+    push('word', start, end);
+  }
+  return tokens;
+}
+
+// ----------------- Parser -----------------
+// Nodos con { start, end } sobre el texto: list { items }, binary { op, left, right },
+// negate { operand }, paren { inner }, func { name, args }, y hojas num / var / word / string / raw.
+function parseTokens(text) {
+  const tokens = lex(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (tok, message) => {
+    throw new ExpressionError(message || (tok ? `Unexpected '${tok.text}'.` : 'Unexpected end of value.'), tok ? tok.start : text.length);
+  };
+
+  const list = (start) => {
+    const items = [];
+    while (pos < tokens.length && peek().type !== ')') {
+      if (peek().type === ',') { pos++; continue; }
+      items.push(additive());
+    }
+    const end = items.length ? items[items.length - 1].end : start;
+    return { type: 'list', items, start: items.length ? items[0].start : start, end };
+  };
+
+  // `+`/`-` binario: espacio a ambos lados o a ninguno
+  const isBinary = (tok) => {
+    const next = tokens[pos + 1];
+    return Boolean(next) && tok.spaceBefore === next.spaceBefore;
+  };
+
+  const additive = () => {
+    let left = multiplicative();
+    while (peek() && peek().type === 'op' && (peek().text === '+' || peek().text === '-') && isBinary(peek())) {
+      const op = tokens[pos++].text;
+      const right = multiplicative();
+      left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  };
+
+  const multiplicative = () => {
+    let left = unary();
+    while (peek() && peek().type === 'op' && (peek().text === '*' || peek().text === '/')) {
+      const op = tokens[pos++].text;
+      const right = unary();
+      left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  };
+
+  const unary = () => {
+    const tok = peek();
+    if (tok && tok.type === 'op' && tok.text === '-') {
+      pos++;
+      const operand = unary();
+      return { type: 'negate', operand, start: tok.start, end: operand.end };
+    }
+    return primary();
+  };
+
+  const primary = () => {
+    const tok = tokens[pos];
+    if (!tok) fail(tok);
+    if (['num', 'var', 'word', 'string', 'raw'].includes(tok.type)) {
+      pos++;
+      return { ...tok };
+    }
+    if (tok.type === '(' || tok.type === 'func') {
+      pos++;
+      const inner = list(tok.end);
+      const close = tokens[pos];
+      if (!close || close.type !== ')') fail(close, `Missing ')' for '${tok.text}' at column ${tok.start + 1}.`);
+      pos++;
+      return tok.type === '('
+        ? { type: 'paren', inner, start: tok.start, end: close.end }
+        : { type: 'func', name: tok.name, args: inner, start: tok.start, end: close.end };
+    }
+    return fail(tok);
+  };
+
+  const root = list(0);
+  if (pos < tokens.length) fail(tokens[pos], `Unmatched '${tokens[pos].text}'.`);
+  return root;
+}
+
+// ----------------- Números y unidades -----------------
+function conversion(from, to) {
+  if (from === to) return 1;
+  const group = UNIT_GROUPS.find(g => from in g && to in g);
+  return group ? group[from] / group[to] : null;
+}
+
+export function formatNumber(value, unit = '') {
+  let v = Math.round(value * 1e5) / 1e5;
+  if (Object.is(v, -0)) v = 0;
+  return `${v}${unit}`;
+}
+
+const describe = (v) => v.text;
+const numberValue = (value, unit) => ({ number: { value, unit }, text: formatNumber(value, unit) });
+const calcValue = (expr) => ({ calc: expr, text: `calc(${expr})` });
+const calcOperand = (v) => (v.calc ? `(${v.calc})` : v.text);
+
+function arithmetic(op, a, b, index) {
+  // Un lado ya es calc(): se compone otro calc()
+  if (a.calc || b.calc) {
+    if (op === '*' && !(a.number && !a.number.unit) && !(b.number && !b.number.unit)) {
+      throw new ExpressionError(`Cannot multiply ${describe(a)} by ${describe(b)}: one side must be unitless.`, index);
+    }
+    if (op === '/' && !(b.number && !b.number.unit)) {
+      throw new ExpressionError(`Cannot divide ${describe(a)} by ${describe(b)}: the divisor must be unitless.`, index);
+    }
+    return calcValue(`${calcOperand(a)} ${op} ${calcOperand(b)}`);
+  }
+
+  const x = a.number;
+  const y = b.number;
+  if (op === '+' || op === '-') {
+    const sign = op === '+' ? 1 : -1;
+    if (!x.unit || !y.unit) return numberValue(x.value + sign * y.value, x.unit || y.unit);
+    const factor = conversion(y.unit, x.unit);
+    if (factor !== null) return numberValue(x.value + sign * y.value * factor, x.unit);
+    return calcValue(`${a.text} ${op} ${b.text}`);
+  }
+  if (op === '*') {
+    if (x.unit && y.unit) throw new ExpressionError(`Cannot multiply ${a.text} by ${b.text}: both values have units.`, index);
+    return numberValue(x.value * y.value, x.unit || y.unit);
+  }
+  // '/'
+  if (y.value === 0) throw new ExpressionError(`Division by zero in ${a.text} / ${b.text}.`, index);
+  if (!y.unit) return numberValue(x.value / y.value, x.unit);
+  if (!x.unit) throw new ExpressionError(`Cannot divide unitless ${a.text} by ${b.text}.`, index);
+  const factor = conversion(x.unit, y.unit);
+  if (factor === null) throw new ExpressionError(`Cannot divide ${a.text} by ${b.text}: incompatible units.`, index);
+  return numberValue((x.value * factor) / y.value, '');
+}
+
+// Todos los valores numéricos y con unidades compatibles con el primero -> valores en esa unidad
+function commonUnit(values) {
+  if (!values.length || values.some(v => !v.number)) return null;
+  const unit = values.find(v => v.number.unit)?.number.unit ?? '';
+  const out = [];
+  for (const v of values) {
+    const factor = v.number.unit ? conversion(v.number.unit, unit) : (unit ? null : 1);
+    if (factor === null) return null;
+    out.push(v.number.value * factor);
+  }
+  return { unit, numbers: out };
+}
+
+// Built-ins. Devuelven null cuando no se puede calcular: se emite la función CSS tal cual (min(), max(), round())
+const BUILTINS = {
+  min(args) {
+    const common = commonUnit(args);
+    return common && numberValue(Math.min(...common.numbers), common.unit);
+  },
+  max(args) {
+    const common = commonUnit(args);
+    return common && numberValue(Math.max(...common.numbers), common.unit);
+  },
+  round(args) {
+    if (args.length !== 1 || !args[0].number) return null;
+    return numberValue(Math.round(args[0].number.value), args[0].number.unit);
+  },
+  percentage(args, node) {
+    if (args.length !== 1 || !args[0].number || args[0].number.unit) {
+      throw new ExpressionError(`percentage() expects one unitless number, got '${args.map(a => a.text).join(', ')}'.`, node.start);
+    }
+    return numberValue(args[0].number.value * 100, '%');
+  }
+};
+
+for (const name of Object.keys(COLOR_FUNCTIONS)) {
+  BUILTINS[name] = (args, node) => {
+    try {
+      const text = applyColorFunction(name, args.map(a => a.text.trim()));
+      return text === null ? null : { text };
+    } catch (err) {
+      const arg = node.args.items[err.arg];
+      throw new ExpressionError(err.message, arg ? arg.start : node.start);
+    }
+  };
+}
+
+// Built-ins que también son funciones CSS nativas con `/` propio (rgba(0 0 0 / 50%)): sus argumentos no dividen
+const NATIVE_SLASH = new Set(Object.keys(COLOR_FUNCTIONS).filter(name => COLOR_FUNCTIONS[name].native));
+
+// ----------------- Evaluación -----------------
+// Texto de `node` con los hijos sustituidos por su texto evaluado (conserva espacios y separadores)
+function splice(source, node, parts) {
+  let out = '';
+  let cursor = node.start;
+  for (const { node: child, text } of parts) {
+    out += source.slice(cursor, child.start) + text;
+    cursor = child.end;
+  }
+  return out + source.slice(cursor, node.end);
+}
+
+function parseNumberValue(text) {
+  const m = String(text).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+))([a-zA-Z]+|%)?$/);
+  return m ? { value: parseFloat(m[1]), unit: (m[2] || '').toLowerCase() } : null;
+}
+
+const substituteVariables = (text, props) =>
+  text.replace(/\$([a-zA-Z0-9_-]+)/g, (_, name) => (props[name] !== undefined ? props[name] : ''));
+
+// Un `/` divide si alguno de sus lados es "dinámico"
+function isDynamic(node) {
+  if (node.type === 'var' || node.type === 'paren') return true;
+  if (node.type === 'func') return Object.prototype.hasOwnProperty.call(BUILTINS, node.name);
+  if (node.type === 'binary') return node.op !== '/' || isDynamic(node.left) || isDynamic(node.right);
+  if (node.type === 'negate') return isDynamic(node.operand);
+  return false;
+}
+
+function evaluate(node, ctx) {
+  const { source, props } = ctx;
+  switch (node.type) {
+    case 'num':
+      return { number: { value: node.value, unit: node.unit }, text: node.text };
+    case 'var': {
+      const value = props[node.name];
+      if (value === undefined) return { text: '' };
+      const number = parseNumberValue(value);
+      return number ? { number, text: String(value).trim() } : { text: String(value) };
+    }
+    case 'raw':
+      return { text: substituteVariables(node.text, props) };
+    case 'word':
+    case 'string':
+      return { text: node.text };
+    case 'list': {
+      const values = node.items.map(item => evaluate(item, ctx));
+      if (values.length === 1) return values[0];
+      return { text: splice(source, node, node.items.map((item, i) => ({ node: item, text: values[i].text }))) };
+    }
+    case 'paren': {
+      const inner = evaluate(node.inner, { ...ctx, arithmetic: true });
+      if (node.inner.items.length === 1 && (inner.number || inner.calc)) return inner;
+      return { text: splice(source, node, [{ node: node.inner, text: inner.text }]) };
+    }
+    case 'func': {
+      const builtin = Object.prototype.hasOwnProperty.call(BUILTINS, node.name) ? BUILTINS[node.name] : null;
+      // dentro de funciones CSS (rgb(), hsl(), translate()...) el `/` vuelve a ser literal
+      const inner = { ...ctx, arithmetic: Boolean(builtin) && !NATIVE_SLASH.has(node.name) };
+      const args = node.args.items.map(item => evaluate(item, inner));
+      const result = builtin && builtin(args, node);
+      if (result) return result;
+      return { text: splice(source, node, node.args.items.map((item, i) => ({ node: item, text: args[i].text }))) };
+    }
+    case 'negate': {
+      const value = evaluate(node.operand, ctx);
+      if (value.number) return numberValue(-value.number.value, value.number.unit);
+      if (value.calc) return calcValue(`-1 * (${value.calc})`);
+      return { text: `-${value.text}` };
+    }
+    case 'binary': {
+      const left = evaluate(node.left, ctx);
+      const right = evaluate(node.right, ctx);
+      const literalSlash = node.op === '/' && !ctx.arithmetic && !isDynamic(node.left) && !isDynamic(node.right);
+      if (!literalSlash && (left.number || left.calc) && (right.number || right.calc)) {
+        return arithmetic(node.op, left, right, node.start);
+      }
+      return { text: splice(source, node, [{ node: node.left, text: left.text }, { node: node.right, text: right.text }]) };
+    }
+    default:
+      return { text: source.slice(node.start, node.end) };
+  }
+}
+
+// Atajo: sin $variables, operadores ni built-ins no hay nada que evaluar
+const MAY_HAVE_EXPRESSION = new RegExp(
+  `\\$|[*+]|\\s-\\s|(?:^|[\\s,(])-\\(|(?:^|[\\s,])\\(|(?:^|[^\\w-])(?:${Object.keys(BUILTINS).join('|')})\\(`,
+  'i'
+);
+
+// Recorre el AST de un valor (ver parseValue): callback(node) para cada nodo
+export function walkValue(node, callback) {
+  callback(node);
+  if (node.type === 'list') node.items.forEach(item => walkValue(item, callback));
+  else if (node.type === 'binary') { walkValue(node.left, callback); walkValue(node.right, callback); }
+  else if (node.type === 'negate') walkValue(node.operand, callback);
+  else if (node.type === 'paren') walkValue(node.inner, callback);
+  else if (node.type === 'func') walkValue(node.args, callback);
+}
+
+/**
+ * Comprueba la sintaxis de un valor y devuelve su AST (nodos con start / end dentro de `text`).
+ * Lanza ExpressionError (con `index` dentro de `text`).
+ */
+export function parseValue(text) {
+  return parseTokens(String(text ?? ''));
+}
+
+/**
+ * Sustituye cada `#{expr}` de `text` por el valor de la expresión (siempre aritmética: `#{$a / 2}` divide).
+ * Lanza ExpressionError con `index` dentro de `text`.
+ */
+export function interpolate(text, props = {}) {
+  const source = String(text ?? '');
+  let out = '';
+  let last = 0;
+  let open;
+  while ((open = source.indexOf('#{', last)) !== -1) {
+    let depth = 1;
+    let close = open + 2;
+    for (; close < source.length && depth; close++) {
+      if (source[close] === '{') depth++;
+      else if (source[close] === '}') depth--;
+    }
+    if (depth) throw new ExpressionError('Unclosed interpolation `#{`.', open);
+    const inner = source.slice(open + 2, close - 1);
+    if (!inner.trim()) throw new ExpressionError('Empty interpolation `#{}`.', open);
+    let value;
+    try {
+      value = evaluate(parseTokens(inner), { source: inner, props, arithmetic: true }).text.trim();
+    } catch (err) {
+      if (err instanceof ExpressionError) err.index += open + 2;
+      throw err;
+    }
+    out += source.slice(last, open) + value.replace(/^(['"])(.*)\1$/s, '$2');
+    last = close;
+  }
+  return out + source.slice(last);
+}
+
+/**
+ * Evalúa un valor con los props de la instancia: sustituye variables y calcula las expresiones.
+ * Lanza ExpressionError en errores de sintaxis o de unidades.
+ */
+export function evaluateValue(text, props = {}) {
+  let source = String(text ?? '');
+  if (source.includes('#{')) source = interpolate(source, props);
+  if (!MAY_HAVE_EXPRESSION.test(source)) return source;
+  return evaluate(parseTokens(source), { source, props, arithmetic: false }).text;
+}
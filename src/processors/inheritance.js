@@ -0,0 +1,97 @@
+// inheritance.js
+// Herencia de componentes: `component PrimaryButton extends Button($variant: primary) { ... }`.
+// - El hijo hereda los parámetros del padre (con sus defaults), puede sobrescribir defaults
+//   y añadir parámetros nuevos.
+// - El cuerpo del hijo se añade al del padre. Una regla anidada con el mismo selector que una
+//   del padre la reemplaza en su sitio; igual con una declaración de primer nivel con la misma
+//   propiedad. El resto (reglas nuevas, when, @media...) se añade al final.
+
+const normalizeSelector = (selector) => selector.replace(/\s+/g, ' ').trim();
+
+const childrenOf = (def) => def.children ?? (def.node ? def.node.children : []);
+
+function mergeParams(parentParams, ownParams) {
+  const params = parentParams.map(p => ({ ...p }));
+  for (const own of ownParams) {
+    const idx = params.findIndex(p => p.name === own.name);
+    if (idx === -1) params.push({ ...own });
+    // `$size` sin default en el hijo conserva el default heredado
+    else params[idx] = { ...own, defaultValue: own.defaultValue ?? params[idx].defaultValue };
+  }
+  return params;
+}
+
+function mergeChildren(parentChildren, ownChildren) {
+  const children = parentChildren.slice();
+  for (const node of ownChildren) {
+    let idx = -1;
+    if (node.type === 'rule') {
+      const selector = normalizeSelector(node.selector);
+      idx = children.findIndex(n => n.type === 'rule' && normalizeSelector(n.selector) === selector);
+    } else if (node.type === 'decl') {
+      idx = children.findIndex(n => n.type === 'decl' && n.prop === node.prop);
+    }
+    if (idx === -1) children.push(node);
+    else children[idx] = node;
+  }
+  return children;
+}
+
+// Cadena `extends` que vuelve al propio componente (A -> B -> A), o null
+function findCycle(name, defs) {
+  const chain = [name];
+  let current = defs.get(name);
+  while (current && current.extends) {
+    if (current.extends === name) return [...chain, name];
+    if (chain.includes(current.extends)) return null; // ciclo que no pasa por `name`
+    chain.push(current.extends);
+    current = defs.get(current.extends);
+  }
+  return null;
+}
+
+/**
+ * Resuelve la herencia de un conjunto de componentes.
+ * defs: Map<nombre, { name, params, children | node, extends?: nombreDelPadre }>.
+ * Devuelve:
+ * - resolved: Map<nombre, { params, children, chain }> (chain: [hijo, padre, abuelo...])
+ * - problems: [{ name, kind: 'unknown-parent' | 'cycle', parent, cycle? }]
+ * Nunca lanza: un padre desconocido o un ciclo se ignoran (el componente queda sólo con lo suyo).
+ */
+export function resolveInheritance(defs) {
+  const resolved = new Map();
+  const problems = [];
+  const cyclic = new Set();
+
+  for (const [name, def] of defs) {
+    if (!def.extends) continue;
+    if (!defs.has(def.extends)) {
+      problems.push({ name, kind: 'unknown-parent', parent: def.extends });
+      continue;
+    }
+    const cycle = findCycle(name, defs);
+    if (cycle) {
+      cyclic.add(name);
+      problems.push({ name, kind: 'cycle', parent: def.extends, cycle });
+    }
+  }
+
+  const resolve = (name) => {
+    if (resolved.has(name)) return resolved.get(name);
+    const def = defs.get(name);
+    let entry = { params: def.params, children: childrenOf(def), chain: [name] };
+    if (def.extends && defs.has(def.extends) && !cyclic.has(name)) {
+      const parent = resolve(def.extends);
+      entry = {
+        params: mergeParams(parent.params, def.params),
+        children: mergeChildren(parent.children, childrenOf(def)),
+        chain: [name, ...parent.chain]
+      };
+    }
+    resolved.set(name, entry);
+    return entry;
+  };
+
+  for (const name of defs.keys()) resolve(name);
+  return { resolved, problems };
+}
@@ -0,0 +1,174 @@
+// loops.js
+// Bucles `@each` / `@for`, en el nivel superior (generan instancias y reglas), dentro de reglas
+// y en cuerpos de componentes (generan reglas anidadas):
+//   @each $size in (sm, md, lg) { Button.#{$size} { $size: $size; } }
+//   @each $name, $value in (sm: .75rem, md: 1rem) { .text-#{$name} { font-size: $value; } }
+//   @each $color, $i in $palette { ... }          (en una lista, la segunda variable es el índice: 1, 2...)
+//   @for $i from 1 through 8 { .mt-#{$i} { margin-top: $i * 4px; } }   (`to 8` se queda en 7)
+// Cada vuelta es un ámbito: las variables del bucle tapan a params y globales del mismo nombre.
+
+import { evaluateValue, ExpressionError } from './expressions.js';
+import { parseNumber } from './conditions.js';
+
+const MAX_ITERATIONS = 10000;
+const unquote = (s) => s.replace(/^(['"])(.*)\1$/s, '$2');
+
+// Error de la cabecera de un bucle; index: offset dentro de la lista / el límite que falla
+export class LoopError extends Error {
+  constructor(message, index = 0) {
+    super(message);
+    this.name = 'LoopError';
+    this.index = index;
+  }
+}
+
+// Índices de los caracteres `separator` de nivel 0 (fuera de paréntesis y strings)
+function topLevelIndexes(text, separator) {
+  const found = [];
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'") {
+      const close = text.indexOf(ch, i + 1);
+      i = close === -1 ? text.length : close;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      found.push(i);
+    }
+  }
+  return found;
+}
+
+// '(a, b)' sí, '(a), (b)' no: el primer paréntesis cierra al final del texto
+function wrappedInParens(text) {
+  if (!text.startsWith('(') || !text.endsWith(')')) return false;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i === text.length - 1;
+  }
+  return false;
+}
+
+// Evalúa una parte de la cabecera; los ExpressionError pasan a LoopError con el offset corregido
+function evaluatePart(text, props, offset) {
+  try {
+    return evaluateValue(text, props).trim();
+  } catch (err) {
+    if (err instanceof ExpressionError) throw new LoopError(err.message, offset + err.index);
+    throw err;
+  }
+}
+
+/**
+ * Elementos de la lista de un @each: [{ key, value }] (key null en listas sin `clave: valor`).
+ * La lista puede escribirse entre paréntesis o sin ellos, o ser una sola $variable con la lista.
+ * Lanza LoopError (index dentro de `text`).
+ */
+export function parseLoopList(text, props = {}) {
+  let source = String(text ?? '');
+  let base = 0;
+  const ref = source.trim().match(/^\$([a-zA-Z0-9_-]+)$/);
+  if (ref) {
+    if (!Object.prototype.hasOwnProperty.call(props, ref[1])) {
+      throw new LoopError(`Undefined variable '$${ref[1]}' in @each list.`, source.indexOf('$'));
+    }
+    source = String(props[ref[1]]);
+  }
+
+  // (a, b, c) -> a, b, c
+  const trimmed = source.trim();
+  if (wrappedInParens(trimmed)) {
+    base = source.indexOf('(') + 1;
+    source = trimmed.slice(1, -1);
+  }
+
+  const commas = topLevelIndexes(source, ',');
+  const bounds = [-1, ...commas, source.length];
+  const items = [];
+  for (let k = 0; k < bounds.length - 1; k++) {
+    const part = source.slice(bounds[k] + 1, bounds[k + 1]);
+    if (!part.trim()) continue; // coma final: (a, b,)
+    const offset = ref ? 0 : base + bounds[k] + 1;
+    const colon = topLevelIndexes(part, ':')[0];
+    if (colon === undefined) {
+      items.push({ key: null, value: evaluatePart(part, props, offset) });
+    } else {
+      const key = unquote(part.slice(0, colon).trim());
+      if (!key) throw new LoopError('Missing key before `:` in @each list.', offset + colon);
+      items.push({ key, value: evaluatePart(part.slice(colon + 1), props, offset + colon + 1) });
+    }
+  }
+
+  if (!items.length) throw new LoopError('Empty @each list.', 0);
+  if (items.some(i => i.key === null) && items.some(i => i.key !== null)) {
+    throw new LoopError('Mixed `key: value` pairs and plain items in @each list.', 0);
+  }
+  return items;
+}
+
+// Límite de un @for: entero sin unidad
+function forBound(text, props, what) {
+  const value = evaluatePart(text, props, 0);
+  const n = parseNumber(value);
+  if (!n || n.unit || !Number.isInteger(n.number)) {
+    throw new LoopError(`@for ${what} must be a whole number without unit, got '${value}'.`, 0);
+  }
+  return n.number;
+}
+
+/**
+ * Variables de cada vuelta de un nodo `each` / `for` (ver parser.js): [{ nombre: valor }].
+ * props: variables visibles en la cabecera (params, globales, bucles exteriores).
+ * Lanza LoopError; `err.at` dice qué parte de la cabecera falla ('list' | 'from' | 'to').
+ */
+export function loopBindings(node, props = {}) {
+  const fail = (err, at) => {
+    if (err instanceof LoopError) err.at = at;
+    throw err;
+  };
+
+  if (node.type === 'each') {
+    if (!node.vars.length) return [];
+    let items;
+    try {
+      items = parseLoopList(node.list, props);
+    } catch (err) {
+      fail(err, 'list');
+    }
+    const [first, second] = node.vars;
+    const isMap = items[0].key !== null;
+    return items.map((item, i) => {
+      // map: $key[, $value]; lista: $item[, $index]
+      const scope = { [first]: isMap ? item.key : item.value };
+      if (second) scope[second] = isMap ? item.value : String(i + 1);
+      return scope;
+    });
+  }
+
+  if (!node.var) return [];
+  let from, to;
+  try {
+    from = forBound(node.from, props, 'start');
+  } catch (err) {
+    fail(err, 'from');
+  }
+  try {
+    to = forBound(node.to, props, 'end');
+  } catch (err) {
+    fail(err, 'to');
+  }
+  // `from 5 through 1` cuenta hacia atrás
+  const step = from <= to ? 1 : -1;
+  const last = node.inclusive ? to : to - step;
+  const count = (last - from) * step + 1;
+  if (count > MAX_ITERATIONS) {
+    fail(new LoopError(`@for would run ${count} times (maximum ${MAX_ITERATIONS}).`, 0), 'to');
+  }
+  const scopes = [];
+  for (let i = from; count > 0 && i !== last + step; i += step) scopes.push({ [node.var]: String(i) });
+  return scopes;
+}
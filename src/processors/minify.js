@@ -0,0 +1,174 @@
+// minify.js
+// Minificador del CSS compilado (`minify: true`, por defecto en `--mode production`).
+// Es un plugin de PostCSS que corre al final de la cadena, así que los source maps siguen valiendo.
+//   - espacios y comentarios fuera (salvo los `/*! ... */`), sin `;` final en los bloques
+//   - colores: #AABBCC -> #abc, rgb(255, 0, 0) -> #f00
+//   - números: 0.5 -> .5, 1.50 -> 1.5, 0px -> 0 (longitudes; nunca dentro de calc() ni en %, s, deg...)
+//   - reglas con el mismo bloque (p.ej. dos instancias con los mismos valores) -> una regla
+//     con los dos selectores, si ninguna regla entre ellas toca las mismas propiedades
+// Los strings, url(...) y los valores de custom properties (`--x`) no se tocan.
+
+const LENGTH_UNITS = new Set(['px', 'em', 'rem', 'ex', 'ch', 'vw', 'vh', 'vmin', 'vmax', 'cm', 'mm', 'q', 'in', 'pt', 'pc']);
+const PROTECTED = /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|url\([^)]*\))/gi;
+const NUMBER = /(^|[^\w.#-])(-?)(\d*\.?\d+)([a-z%]*)/gi;
+const MATH_FUNCTION = /\b(?:calc|min|max|clamp)\(/i;
+// Valores que no son CSS "normal": U+0025-00FF no es un número
+const RAW_VALUE_PROPS = new Set(['unicode-range']);
+// Propiedades que se pisan entre sí aunque no compartan prefijo
+const PROPERTY_FAMILY = {
+  top: 'inset', right: 'inset', bottom: 'inset', left: 'inset',
+  'row-gap': 'gap', 'column-gap': 'gap',
+  'line-height': 'font',
+  place: 'align', justify: 'align'
+};
+
+// Aplica `fn` sólo a los trozos que no son strings ni url(...)
+function outsideStrings(text, fn) {
+  return text.split(PROTECTED).map((part, i) => (i % 2 ? part : fn(part))).join('');
+}
+
+function shortHex(hex) {
+  const h = hex.toLowerCase();
+  if ((h.length === 6 || h.length === 8) && [...h].every((c, i) => i % 2 === 0 || c === h[i - 1])) {
+    return [...h].filter((_, i) => i % 2 === 0).join('');
+  }
+  return h;
+}
+
+function minifyNumber(sign, digits, unit, mathContext) {
+  const n = Number(digits);
+  if (n === 0) return LENGTH_UNITS.has(unit.toLowerCase()) && !mathContext ? '0' : `0${unit}`;
+  const text = String(n).replace(/^0\./, '.');
+  return `${sign}${text}${unit}`;
+}
+
+/** Minifica un valor de declaración (o los params de una at-rule con `params: true`). */
+export function minifyValue(value, { params = false } = {}) {
+  const mathContext = MATH_FUNCTION.test(value);
+  return outsideStrings(value, (part) => {
+    let out = part
+      .replace(/\s+/g, ' ')
+      .replace(/\s*,\s*/g, ',')
+      .replace(/\(\s+/g, '(')
+      .replace(/\s+\)/g, ')')
+      .replace(/rgb\(\s*(\d{1,3}),(\d{1,3}),(\d{1,3})\s*\)/gi, (m, r, g, b) => (
+        [r, g, b].every(c => Number(c) <= 255) ? `#${[r, g, b].map(c => Number(c).toString(16).padStart(2, '0')).join('')}` : m
+      ))
+      .replace(/#([0-9a-f]{3,8})\b/gi, (m, hex) => ([3, 4, 6, 8].includes(hex.length) ? `#${shortHex(hex)}` : m))
+      .replace(NUMBER, (m, before, sign, digits, unit) => `${before}${minifyNumber(sign, digits, unit, mathContext)}`);
+    if (params) out = out.replace(/\s*:\s*/g, ':');
+    return out;
+  }).trim();
+}
+
+function minifySelector(selector) {
+  return outsideStrings(selector, (part) => part
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([>+~,])\s*/g, '$1')
+    .replace(/\(\s+/g, '(')
+    .replace(/\s+\)/g, ')')).trim();
+}
+
+// ----------------- Reglas idénticas -----------------
+
+const blockKey = (rule) => (rule.nodes.every(n => n.type === 'decl')
+  ? rule.nodes.map(d => `${d.prop}:${d.value}${d.important ? '!important' : ''}`).join(';')
+  : null);
+
+function propertyFamily(prop) {
+  const name = prop.toLowerCase().replace(/^-(webkit|moz|ms|o)-/, '');
+  if (name.startsWith('--')) return name;
+  if (PROPERTY_FAMILY[name]) return PROPERTY_FAMILY[name];
+  const head = name.split('-')[0];
+  return PROPERTY_FAMILY[head] ?? head;
+}
+
+function familiesOf(node) {
+  const families = new Set();
+  if (node.type === 'decl') families.add(propertyFamily(node.prop));
+  else if (node.walkDecls) node.walkDecls(d => { families.add(propertyFamily(d.prop)); });
+  return families;
+}
+
+// Un pseudo con prefijo de navegador invalida toda la lista de selectores en los demás navegadores
+const mergeable = (rule) => !/::?-/.test(rule.selector);
+
+/**
+ * Une en la primera las reglas posteriores con el mismo bloque. Mover un selector hacia arriba
+ * sólo cambia la cascada frente a las reglas que hay entre medias: si alguna toca la misma
+ * propiedad (o una de su familia: margin / margin-top) no se une.
+ */
+function mergeIdenticalRules(container) {
+  for (let i = 0; i < container.nodes.length; i++) {
+    const first = container.nodes[i];
+    if (first.type !== 'rule' || !mergeable(first)) continue;
+    const key = blockKey(first);
+    if (!key) continue;
+    const own = familiesOf(first);
+    const touched = new Set();
+    for (let j = i + 1; j < container.nodes.length; j++) {
+      const other = container.nodes[j];
+      const conflict = [...own].some(f => touched.has(f) || touched.has('all')) || own.has('all');
+      if (other.type === 'rule' && mergeable(other) && !conflict && blockKey(other) === key) {
+        first.selector = [...new Set([...first.selectors, ...other.selectors])].join(',');
+        other.remove();
+        j--;
+        continue;
+      }
+      for (const f of familiesOf(other)) touched.add(f);
+    }
+  }
+  for (const node of container.nodes) {
+    if (node.type === 'atrule' && node.nodes) mergeIdenticalRules(node);
+  }
+}
+
+// De dentro hacia fuera: un @media que se queda vacío también sale
+function removeEmptyBlocks(container) {
+  for (const node of [...container.nodes]) {
+    if (!node.nodes) continue;
+    removeEmptyBlocks(node);
+    if (!node.nodes.length) node.remove();
+  }
+}
+
+// ----------------- Plugin -----------------
+
+export function minify() {
+  return {
+    postcssPlugin: 'axcss-minify',
+    OnceExit(root) {
+      root.walkComments(comment => {
+        if (!comment.text.startsWith('!')) comment.remove();
+      });
+      root.walkDecls(decl => {
+        if (decl.prop.startsWith('--') || RAW_VALUE_PROPS.has(decl.prop.toLowerCase())) decl.value = decl.value.trim();
+        else decl.value = minifyValue(decl.value);
+        if (decl.important) decl.raws.important = '!important';
+        decl.raws.between = ':';
+      });
+      root.walkRules(rule => {
+        rule.selector = minifySelector(rule.selector);
+      });
+      root.walkAtRules(atRule => {
+        atRule.params = minifyValue(atRule.params, { params: true });
+        atRule.raws.afterName = atRule.params ? ' ' : '';
+      });
+
+      mergeIdenticalRules(root);
+
+      removeEmptyBlocks(root);
+      root.walk(node => {
+        node.raws.before = '';
+        node.raws.after = '';
+        if (node.type === 'rule' || node.type === 'atrule') {
+          node.raws.between = '';
+          node.raws.semicolon = false;
+        }
+      });
+      root.raws.after = '';
+      root.raws.semicolon = false;
+    }
+  };
+}
+minify.postcss = true;
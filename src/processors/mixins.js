@@ -0,0 +1,110 @@
+// mixins.js
+// Mixins: bloques reutilizables de declaraciones y reglas, con parámetros como los componentes.
+//   mixin focus-ring($color: #07f, $width: 2px) { outline: $width solid $color; outline-offset: 2px; }
+//   mixin hover { @media (hover: hover) { &:hover { @content; } } }
+//   .btn { @include focus-ring($width: 3px); @include hover { opacity: .8; } }
+// Se definen en cualquier .axcss y se importan como los componentes. Dentro funcionan `when`,
+// @each / @for e @include anidados; un mixin no puede incluirse a sí mismo (ni en ciclo).
+
+import { evaluateValue } from './expressions.js';
+
+export class MixinError extends Error {
+  constructor(message, start) {
+    super(message);
+    this.name = 'MixinError';
+    this.start = start;
+  }
+}
+
+/**
+ * Problemas de una llamada que se ven sin evaluar nada (número de argumentos, nombres):
+ * [{ message, start }] (start: offset del argumento, o null si es la llamada entera).
+ */
+export function checkMixinCall(name, params, args) {
+  const problems = [];
+  const given = new Set();
+  let named = false;
+  args.forEach((arg, i) => {
+    if (arg.name) {
+      named = true;
+      if (!params.some(p => p.name === arg.name)) {
+        problems.push({ message: `Mixin '${name}' has no parameter '$${arg.name}'.`, start: arg.start });
+      } else if (given.has(arg.name)) {
+        problems.push({ message: `Argument '$${arg.name}' passed twice to mixin '${name}'.`, start: arg.start });
+      }
+      given.add(arg.name);
+    } else if (named) {
+      problems.push({ message: `Positional argument after a named one in @include ${name}.`, start: arg.start });
+    } else if (i >= params.length) {
+      if (i === params.length) {
+        problems.push({
+          message: `Mixin '${name}' takes ${params.length} argument(s) but ${args.filter(a => !a.name).length} were given.`,
+          start: arg.start
+        });
+      }
+    } else {
+      given.add(params[i].name);
+    }
+  });
+  for (const p of params) {
+    if (p.defaultValue === undefined && !given.has(p.name)) {
+      problems.push({ message: `Missing argument '$${p.name}' for mixin '${name}'.`, start: null });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Valores de los parámetros de una llamada: { nombre: valor }.
+ * Los argumentos se evalúan con las variables del que llama (props); los defaults, además,
+ * con los parámetros anteriores (`$gap: $size / 2`). Lanza MixinError / ExpressionError.
+ */
+export function bindMixinArguments(def, args, props = {}) {
+  const [problem] = checkMixinCall(def.name, def.params, args);
+  if (problem) throw new MixinError(problem.message, problem.start);
+  const positional = args.filter(a => !a.name);
+  const bound = {};
+  def.params.forEach((param, i) => {
+    const arg = positional[i] ?? args.find(a => a.name === param.name);
+    bound[param.name] = arg
+      ? evaluateValue(arg.value, props).trim()
+      : evaluateValue(param.defaultValue, { ...props, ...bound }).trim();
+  });
+  return bound;
+}
+
+// Cuerpo del mixin con cada `@content;` (a cualquier profundidad) sustituido por el bloque del @include
+export function fillSlot(children, slot) {
+  return children.flatMap(node => {
+    if (node.type === 'content') return slot || [];
+    return node.children ? [{ ...node, children: fillSlot(node.children, slot) }] : [node];
+  });
+}
+
+// Nombres de los mixins incluidos en un cuerpo, a cualquier profundidad
+export function includedMixins(children, out = new Set()) {
+  for (const node of children) {
+    if (node.type === 'include' && node.name) out.add(node.name);
+    if (node.children) includedMixins(node.children, out);
+  }
+  return out;
+}
+
+// Mixins que se incluyen a sí mismos, directa o indirectamente: Map<nombre, ciclo [a, b, a]>
+export function findMixinCycles(defs) {
+  const cycles = new Map();
+  const visit = (name, path) => {
+    const def = defs.get(name);
+    if (!def) return;
+    for (const next of includedMixins(def.children)) {
+      if (next === path[0]) {
+        cycles.set(path[0], [...path, next]);
+        return;
+      }
+      if (!path.includes(next)) visit(next, [...path, next]);
+      if (cycles.has(path[0])) return;
+    }
+  };
+  for (const name of defs.keys()) visit(name, [name]);
+  return cycles;
+}
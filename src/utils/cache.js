@@ -0,0 +1,123 @@
+// cache.js
+// Caché del build incremental, guardada en `<outDir>/.cache`. Por cada entrada (.axcss relativo a
+// root) guarda el hash del contenido de sus ficheros (el propio .axcss y todo lo que importa,
+// directa o indirectamente), las salidas que escribió y sus diagnostics:
+//   { key, files: { 'src/button.axcss': { inputs: { 'src/button.axcss': 'a1b2…', 'src/tokens.json': … },
+//                                          outputs: [...], name, cssPath, proxyPath, classes, failed, diagnostics } } }
+// Una entrada sólo se recompila si cambia uno de sus ficheros, falta una salida o cambia `key`
+// (configuración o versión de axcss).
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const CACHE_FILE = '.cache';
+const CACHE_VERSION = 2;
+
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Lectura memoizada para un build: cada fichero se lee (y se hashea) una sola vez aunque lo
+ * importen varias entradas. hashFile devuelve null si el fichero no existe.
+ */
+export function createReader() {
+  const reads = new Map();
+  const readFile = (file) => {
+    if (!reads.has(file)) reads.set(file, fs.readFile(file, 'utf8'));
+    return reads.get(file);
+  };
+  const hashFile = async (file) => {
+    try {
+      return hashContent(await readFile(file));
+    } catch {
+      return null;
+    }
+  };
+  return { readFile, hashFile };
+}
+
+/**
+ * Clave de la configuración efectiva: si cambia (otro modo, otro proxy, el fichero de config,
+ * otra versión de axcss...) ninguna entrada de la caché sirve.
+ * purgeHash: hash de las clases usadas por la app (con `purge`): si cambian, cambia el CSS.
+ */
+export async function cacheKey(config, { purgeHash = null } = {}) {
+  const readOrEmpty = (file) => fs.readFile(file, 'utf8').catch(() => '');
+  const pkg = JSON.parse(await readOrEmpty(new URL('../../package.json', import.meta.url)) || '{}');
+  const { format, ...classNames } = config.classNames;
+  return hashContent(JSON.stringify({
+    version: CACHE_VERSION,
+    axcss: pkg.version,
+    mode: config.mode,
+    outDir: config.outDir,
+    proxy: config.proxy,
+    sourceMap: config.sourceMap,
+    minify: config.minify,
+    hashFilenames: config.hashFilenames,
+    purge: purgeHash,
+    classNames,
+    format: format ? String(format) : null,
+    plugins: (config.postcss?.plugins ?? []).map(p => p?.postcssPlugin ?? p?.name ?? typeof p),
+    configFile: config.configFile ? await readOrEmpty(config.configFile) : ''
+  }));
+}
+
+/**
+ * Lee la caché de `outRoot`. Con otra `key` las entradas se conservan sin `inputs`: todas se
+ * recompilan, pero se siguen conociendo sus salidas (para borrarlas si el .axcss desaparece).
+ */
+export async function loadCache(outRoot, key) {
+  let cache;
+  try {
+    cache = JSON.parse(await fs.readFile(path.join(outRoot, CACHE_FILE), 'utf8'));
+  } catch {
+    return { key, files: {} };
+  }
+  if (!cache || typeof cache.files !== 'object') return { key, files: {} };
+  if (cache.key === key) return cache;
+  const files = {};
+  for (const [file, entry] of Object.entries(cache.files)) files[file] = { outputs: entry.outputs ?? [], inputs: null };
+  return { key, files };
+}
+
+export function saveCache(outRoot, cache) {
+  return fs.writeFile(path.join(outRoot, CACHE_FILE), JSON.stringify(cache), 'utf8');
+}
+
+// { ruta relativa a root: hash } de los ficheros de una entrada
+export async function hashInputs(files, root, hashFile) {
+  const inputs = {};
+  for (const file of files) inputs[path.relative(root, file).replace(/\\/g, '/')] = await hashFile(file);
+  return inputs;
+}
+
+/**
+ * ¿Sigue al día una entrada?
+ * changed: Set de rutas absolutas que han cambiado desde el último build (lo da `dev`): sólo se
+ * hashean esas. Sin `changed` se hashean todos sus ficheros y se comprueba que existan sus salidas.
+ */
+export async function isFresh(entry, root, hashFile, changed = null) {
+  if (!entry?.inputs) return false;
+  for (const [rel, hash] of Object.entries(entry.inputs)) {
+    const file = path.resolve(root, rel);
+    if (changed && !changed.has(file)) continue;
+    if (await hashFile(file) !== hash) return false;
+  }
+  if (!changed && !entry.failed) {
+    for (const out of entry.outputs) {
+      try {
+        await fs.access(path.resolve(root, out));
+      } catch {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+// Borra las salidas (.css, .css.map, .axcss.js, .d.ts) de una entrada
+export async function removeOutputs(root, entry) {
+  for (const out of entry?.outputs ?? []) await fs.rm(path.resolve(root, out), { force: true });
+}
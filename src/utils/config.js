@@ -0,0 +1,318 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import autoprefixer from 'autoprefixer';
+import { normalizePurge } from './purge.js';
+
+// Nombres de fichero que se buscan (en este orden) subiendo desde cwd
+export const CONFIG_FILES = [
+  'axcss.config.js',
+  'axcss.config.mjs',
+  'axcss.config.cjs',
+  'axcss.config.json'
+];
+
+export const PROXY_STYLES = ['link', 'style', 'constructable', 'ssr', 'data'];
+export const CLASS_NAME_CASES = ['lower', 'preserve', 'kebab'];
+export const SOURCE_MAP_MODES = [false, true, 'inline'];
+// Plantilla por defecto con `classNames.scoped` (si no se da otra): button_primary_x7f3a
+export const SCOPED_TEMPLATE = '[file]_[instance]_[hash]';
+const HASH_TOKEN = /\[hash(?::(\d+))?\]/g;
+
+/**
+ * Configuración por defecto: reproduce el comportamiento histórico de `axcss build`.
+ * - include / exclude: globs relativos a `root` (el directorio del fichero de config o cwd).
+ * - outDir: carpeta de salida para .css, proxies y axcssMain.js.
+ * - proxy: estilo del proxy JS generado para cada .css (ver utils/proxy.js).
+ * - postcss.plugins: cadena de PostCSS aplicada al CSS compilado.
+ * - classNames: cómo se convierte `Component.instance` en nombre de clase. `scoped: true` añade un
+ *   hash determinista (fichero + componente + instancia) para que dos ficheros no choquen.
+ * - sourceMap: false | true (fichero .css.map junto al .css) | 'inline'.
+ * - minify / hashFilenames / manifest: CSS minificado, `button.3f9a1c.css` y `<outDir>/manifest.json`.
+ *   Activados por defecto en modo `production`.
+ * - purge: { content, safelist } — con globs en `content`, las instancias que no aparecen en esos
+ *   ficheros (ni en `safelist`: strings o RegExp) no generan CSS (ver utils/purge.js).
+ * - alias: prefijos de @import / @use -> rutas relativas a `root` ({ '~': './src' }, ver utils/resolve.js).
+ * - env: overrides por modo (`env.production`, `env.development`, ...).
+ */
+export function defaultConfig(mode = 'development') {
+  const production = mode === 'production';
+  return {
+    include: ['**/*.axcss'],
+    exclude: ['node_modules/**'],
+    outDir: '.axcss',
+    proxy: 'link',
+    postcss: { plugins: [autoprefixer()] },
+    classNames: { template: '[instance]', case: 'lower', scoped: false },
+    sourceMap: false,
+    minify: production,
+    hashFilenames: production,
+    manifest: production,
+    purge: { content: [], safelist: [] },
+    alias: {},
+    env: {}
+  };
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Merge profundo para objetos planos; arrays y valores escalares se reemplazan
+export function mergeConfig(base, override) {
+  if (!isPlainObject(override)) return base;
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) continue;
+    if (isPlainObject(value) && isPlainObject(base[key])) out[key] = mergeConfig(base[key], value);
+    else out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Busca un fichero de configuración subiendo directorios desde `startDir`.
+ * Devuelve la ruta absoluta o null si no hay ninguno.
+ */
+export async function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      try {
+        const stat = await fs.stat(candidate);
+        if (stat.isFile()) return candidate;
+      } catch {
+        // no existe, seguimos buscando
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+async function readConfigFile(filePath, mode) {
+  if (filePath.endsWith('.json')) {
+    const raw = await fs.readFile(filePath, 'utf8');
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${filePath}: ${err.message}`);
+    }
+  }
+  // ?t= evita la caché de módulos de Node cuando `axcss dev` recarga la config
+  const url = `${pathToFileURL(filePath).href}?t=${Date.now()}`;
+  const mod = await import(url);
+  let exported = mod.default ?? mod;
+  if (typeof exported === 'function') exported = await exported({ mode });
+  return exported;
+}
+
+// Plugins de PostCSS: admite instancias, nombres, [nombre, opciones] u objeto { nombre: opciones }
+async function resolvePostcssPlugins(plugins, root) {
+  if (plugins === undefined) return undefined;
+  const entries = isPlainObject(plugins)
+    ? Object.entries(plugins).filter(([, opts]) => opts !== false)
+    : plugins;
+  if (!Array.isArray(entries)) throw new Error('`postcss.plugins` must be an array or an object.');
+
+  const require = createRequire(path.join(root, 'package.json'));
+  const resolved = [];
+  for (const entry of entries) {
+    if (!entry) continue;
+    if (typeof entry !== 'string' && !Array.isArray(entry)) {
+      resolved.push(entry);
+      continue;
+    }
+    const [name, opts] = Array.isArray(entry) ? entry : [entry, undefined];
+    let factory;
+    if (name === 'autoprefixer') {
+      factory = autoprefixer;
+    } else {
+      let modulePath;
+      try {
+        modulePath = require.resolve(name);
+      } catch {
+        throw new Error(`PostCSS plugin "${name}" could not be resolved from ${root}.`);
+      }
+      const mod = await import(pathToFileURL(modulePath).href);
+      factory = mod.default ?? mod;
+    }
+    resolved.push(typeof factory === 'function' ? factory(opts ?? {}) : factory);
+  }
+  return resolved;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return undefined;
+  return Array.isArray(value) ? value : [value];
+}
+
+function validateConfig(config, source) {
+  const where = source ? ` in ${source}` : '';
+  for (const key of ['include', 'exclude']) {
+    if (!Array.isArray(config[key]) || config[key].some(g => typeof g !== 'string')) {
+      throw new Error(`\`${key}\` must be a string or an array of glob strings${where}.`);
+    }
+  }
+  if (config.include.length === 0) throw new Error(`\`include\` must contain at least one glob${where}.`);
+  if (typeof config.outDir !== 'string' || !config.outDir.trim()) {
+    throw new Error(`\`outDir\` must be a non-empty string${where}.`);
+  }
+  if (!PROXY_STYLES.includes(config.proxy)) {
+    throw new Error(`Unknown proxy style "${config.proxy}"${where}. Expected one of: ${PROXY_STYLES.join(', ')}.`);
+  }
+  if (!SOURCE_MAP_MODES.includes(config.sourceMap)) {
+    throw new Error(`\`sourceMap\` must be false, true or 'inline'${where}.`);
+  }
+  const { purge } = config;
+  if (!isPlainObject(purge) || !Array.isArray(purge.content) || purge.content.some(g => typeof g !== 'string')) {
+    throw new Error(`\`purge\` must be false, an array of globs or { content, safelist }${where}.`);
+  }
+  if (!Array.isArray(purge.safelist) || purge.safelist.some(e => typeof e !== 'string' && !(e instanceof RegExp))) {
+    throw new Error(`\`purge.safelist\` must be an array of class names or regular expressions${where}.`);
+  }
+  if (!isPlainObject(config.alias) || Object.values(config.alias).some(v => typeof v !== 'string')) {
+    throw new Error(`\`alias\` must be an object of prefix -> path strings${where}.`);
+  }
+  for (const key of ['minify', 'hashFilenames', 'manifest']) {
+    if (typeof config[key] !== 'boolean') throw new Error(`\`${key}\` must be true or false${where}.`);
+  }
+  const cn = config.classNames;
+  if (typeof cn.format !== 'function' && typeof cn.template !== 'string') {
+    throw new Error(`\`classNames.template\` must be a string${where}.`);
+  }
+  if (!CLASS_NAME_CASES.includes(cn.case)) {
+    throw new Error(`Unknown classNames.case "${cn.case}"${where}. Expected one of: ${CLASS_NAME_CASES.join(', ')}.`);
+  }
+  if (typeof cn.scoped !== 'boolean') throw new Error(`\`classNames.scoped\` must be true or false${where}.`);
+  for (const m of (typeof cn.template === 'string' ? cn.template : '').matchAll(HASH_TOKEN)) {
+    if (m[1] !== undefined && (Number(m[1]) < 1 || Number(m[1]) > 32)) {
+      throw new Error(`\`${m[0]}\` in classNames.template: hash length must be between 1 and 32${where}.`);
+    }
+  }
+}
+
+/**
+ * Convierte las opciones de la CLI (commander) en un override de configuración.
+ * Sólo incluye las claves que el usuario ha pasado explícitamente.
+ */
+export function cliOverrides(options = {}) {
+  const out = {};
+  if (options.include) out.include = toArray(options.include);
+  if (options.exclude) out.exclude = toArray(options.exclude);
+  if (options.outDir) out.outDir = options.outDir;
+  if (options.proxy) out.proxy = options.proxy;
+  if (options.scoped) out.classNames = { scoped: true };
+  if (options.purge) out.purge = { content: toArray(options.purge) };
+  // --source-map -> true, --source-map inline -> 'inline', --source-map file -> true
+  if (options.sourceMap !== undefined) {
+    out.sourceMap = options.sourceMap === 'file' ? true : options.sourceMap;
+  }
+  return out;
+}
+
+/**
+ * Carga la configuración del proyecto.
+ * Orden de precedencia: defaults < fichero de config < env[mode] < overrides (flags de la CLI).
+ * Las rutas (include/exclude/outDir) son relativas a `root`.
+ */
+export async function loadConfig({ cwd = process.cwd(), configFile, mode, overrides = {} } = {}) {
+  const resolvedMode = mode || process.env.AXCSS_MODE || 'development';
+
+  let file = null;
+  if (configFile) {
+    file = path.resolve(cwd, configFile);
+    try {
+      await fs.access(file);
+    } catch {
+      throw new Error(`Config file not found: ${configFile}`);
+    }
+  } else {
+    file = await findConfigFile(cwd);
+  }
+
+  const root = file ? path.dirname(file) : path.resolve(cwd);
+  let userConfig = {};
+  if (file) {
+    userConfig = await readConfigFile(file, resolvedMode);
+    if (!isPlainObject(userConfig)) throw new Error(`Config file ${file} must export an object.`);
+  }
+
+  const envOverrides = isPlainObject(userConfig.env) ? userConfig.env[resolvedMode] : undefined;
+
+  let config = defaultConfig(resolvedMode);
+  let customTemplate = false;
+  for (const layer of [userConfig, envOverrides, overrides]) {
+    if (!isPlainObject(layer)) continue;
+    if (isPlainObject(layer.classNames) && ('template' in layer.classNames || 'format' in layer.classNames)) customTemplate = true;
+    const normalized = { ...layer };
+    if ('include' in layer) normalized.include = toArray(layer.include);
+    if ('exclude' in layer) normalized.exclude = toArray(layer.exclude);
+    if ('purge' in layer) normalized.purge = normalizePurge(layer.purge);
+    if (layer.postcss && 'plugins' in layer.postcss) {
+      normalized.postcss = { ...layer.postcss, plugins: await resolvePostcssPlugins(layer.postcss.plugins, root) };
+    }
+    config = mergeConfig(config, normalized);
+  }
+
+  // `scoped: true` sin plantilla propia: fichero + instancia + hash
+  if (config.classNames.scoped && !customTemplate) config.classNames = { ...config.classNames, template: SCOPED_TEMPLATE };
+
+  validateConfig(config, file);
+
+  // La carpeta de salida nunca debe volver a compilarse como entrada
+  const outDirGlob = `${path.relative(root, path.resolve(root, config.outDir)).replace(/\\/g, '/')}/**`;
+  if (!config.exclude.includes(outDirGlob)) config.exclude = [...config.exclude, outDirGlob];
+
+  return { ...config, mode: resolvedMode, root, configFile: file };
+}
+
+// Atajo usado por los comandos: carga config a partir de las opciones de la CLI
+export function resolveConfig(options = {}) {
+  return loadConfig({
+    cwd: options.cwd,
+    configFile: options.config,
+    mode: options.mode,
+    overrides: cliOverrides(options)
+  });
+}
+
+/**
+ * Hash corto y determinista de una instancia: mismo fichero (relativo a root), componente
+ * e instancia -> mismo hash en cualquier máquina. Base 36, `length` caracteres.
+ */
+export function classNameHash({ componentName, instanceName, file, root }, length = 5) {
+  const relative = file ? path.relative(root || process.cwd(), file).replace(/\\/g, '/') : '';
+  const digest = createHash('sha256').update(`${relative}:${componentName}.${instanceName}`).digest('hex');
+  return BigInt(`0x${digest}`).toString(36).slice(0, length);
+}
+
+// `my.button.axcss` -> my_button, `2col grid.axcss` -> 2col_grid: sólo [A-Za-z0-9_-] en una clase
+const fileToken = (file) => path.basename(file).replace(/\.axcss$/, '').replace(/[^A-Za-z0-9_-]/g, '_');
+
+/**
+ * Genera el nombre de clase para una instancia según `config.classNames`.
+ * Tokens de plantilla: [component], [instance], [file] (fichero que declara la instancia),
+ * [hash] / [hash:N] (ver classNameHash). `root` sólo se usa para el hash.
+ */
+export function formatClassName(classNames, { componentName, instanceName, file, root }) {
+  const opts = { ...defaultConfig().classNames, ...classNames };
+  if (opts.scoped && classNames.template === undefined) opts.template = SCOPED_TEMPLATE;
+  const hash = (length) => classNameHash({ componentName, instanceName, file, root }, length);
+  let name;
+  if (typeof opts.format === 'function') {
+    name = String(opts.format({ component: componentName, instance: instanceName, file, hash: hash(5) }));
+  } else {
+    name = opts.template
+      .replace(/\[component\]/g, componentName)
+      .replace(/\[instance\]/g, instanceName)
+      .replace(/\[file\]/g, file ? fileToken(file) : '')
+      .replace(HASH_TOKEN, (_, length) => hash(length ? Number(length) : 5));
+  }
+  if (opts.case === 'lower') name = name.toLowerCase();
+  else if (opts.case === 'kebab') name = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+  // una clase no puede empezar por un dígito (`[hash]_...`)
+  return /^-?\d/.test(name) ? `_${name}` : name;
+}
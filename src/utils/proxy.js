@@ -0,0 +1,200 @@
+// proxy.js
+// Código de los módulos JS que genera `build`: un proxy `.axcss.js` por cada .css y axcssMain.js.
+// El estilo (config.proxy) decide cómo llega el CSS a la página:
+//   link          <link rel="stylesheet"> al .css (una sola vez por fichero, aunque se reimporte)
+//   style         <style> con el CSS dentro (se actualiza al reimportar)
+//   constructable CSSStyleSheet adoptado por document; exporta `sheet` para los shadow roots
+//   ssr           no toca `document`: guarda el CSS en un registro global que lee axcssMain.js
+//   data          sólo exporta { css, classes }, sin efectos
+// Cada módulo lleva su .d.ts al lado (proxyDeclarations / mainDeclarations).
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+// Registros compartidos entre proxies (globalThis: sobreviven a reimportaciones con ?t=)
+const SHEETS = 'globalThis.__axcssSheets ??= new Map()';
+const STYLES = 'globalThis.__axcssStyles ??= new Map()';
+
+/**
+ * Contenido de un proxy.
+ * - id: ruta del .axcss relativa a root (marca el <link>/<style> para no duplicarlo)
+ * - href: ruta del .css relativa al propio proxy (se resuelve con import.meta.url)
+ * - css: CSS compilado; classes: mapa instancia -> clase
+ */
+export function proxyModule(style, { id, href, css, classes }) {
+  const ID = JSON.stringify(id);
+  const exportClasses = `export const classes = ${json(classes)};`;
+
+  switch (style) {
+    case 'link':
+      return `
+const id = ${ID};
+const href = new URL(${JSON.stringify(href)}, import.meta.url).href;
+if (typeof document !== 'undefined' && !document.querySelector(\`link[data-axcss="\${id}"]\`)) {
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = href;
+  link.dataset.axcss = id;
+  document.head.appendChild(link);
+}
+${exportClasses}
+export default href;
+      `.trim();
+
+    case 'style':
+      return `
+const id = ${ID};
+export const css = ${JSON.stringify(css)};
+if (typeof document !== 'undefined') {
+  let style = document.querySelector(\`style[data-axcss="\${id}"]\`);
+  if (!style) {
+    style = document.createElement('style');
+    style.dataset.axcss = id;
+    document.head.appendChild(style);
+  }
+  style.textContent = css;
+}
+${exportClasses}
+export default css;
+      `.trim();
+
+    case 'constructable':
+      return `
+export const css = ${JSON.stringify(css)};
+const sheets = (${SHEETS});
+let sheet = sheets.get(${ID}) ?? null;
+if (!sheet && typeof CSSStyleSheet !== 'undefined') {
+  sheet = new CSSStyleSheet();
+  sheets.set(${ID}, sheet);
+  if (typeof document !== 'undefined') document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+}
+sheet?.replaceSync(css);
+export { sheet };
+${exportClasses}
+export default sheet;
+      `.trim();
+
+    case 'ssr':
+      return `
+export const css = ${JSON.stringify(css)};
+(${STYLES}).set(${ID}, css);
+${exportClasses}
+export default css;
+      `.trim();
+
+    case 'data':
+      return `
+export const css = ${JSON.stringify(css)};
+${exportClasses}
+export default { css, classes };
+      `.trim();
+
+    default:
+      throw new Error(`Unknown proxy style "${style}".`);
+  }
+}
+
+/**
+ * Contenido de axcssMain.js: importa todos los proxies y exporta `axcssMain` (clave -> ruta del .css).
+ * proxies: [{ key, path }] con `path` relativo a axcssMain.js. Según el estilo exporta además
+ * `sheets` (constructable), `getStyles()` / `renderStyleTags()` (ssr) o `styles` (data).
+ */
+export function mainModule(style, proxies, cssPaths) {
+  const named = style === 'constructable' || style === 'data';
+  const imports = proxies
+    .map((p, i) => (named ? `import proxy${i} from '${p.path}';` : `import '${p.path}';`))
+    .join('\n');
+
+  let extra = '';
+  if (style === 'constructable') {
+    // Para un web component: this.shadowRoot.adoptedStyleSheets = sheets
+    extra = `export const sheets = [${proxies.map((_, i) => `proxy${i}`).join(', ')}].filter(Boolean);`;
+  } else if (style === 'ssr') {
+    extra = `
+const registry = (${STYLES});
+
+// CSS de todos los proxies importados (en el servidor: incrústalo en el HTML)
+export function getStyles() {
+  return [...registry.values()].join('\\n');
+}
+
+// Una etiqueta <style data-axcss="..."> por fichero
+export function renderStyleTags() {
+  return [...registry].map(([id, css]) => \`<style data-axcss="\${id}">\${css.replace(/<\\/style/gi, '<\\\\/style')}</style>\`).join('\\n');
+}`.trim();
+  } else if (style === 'data') {
+    extra = `export const styles = {\n${proxies.map((p, i) => `  ${JSON.stringify(p.key)}: proxy${i}`).join(',\n')}\n};`;
+  }
+
+  const purpose = {
+    ssr: 'collect all CSS (getStyles / renderStyleTags) without touching the DOM',
+    data: 'get the CSS and class map of every file'
+  }[style] ?? 'inject all CSS automatically';
+
+  return `
+/**
+ * Auto-generated by AXCSS (proxy: ${style})
+ * Import this file to ${purpose}
+ */
+${imports}
+
+export const axcssMain = ${json(cssPaths)};
+${extra ? `\n${extra}` : ''}
+`.trim();
+}
+
+// ----------------- Declaraciones (.d.ts) -----------------
+
+// { "a": "x", ... } -> tipo con las claves y los valores como literales: { readonly "a": "x"; ... }
+function literalObjectType(map, indent = '') {
+  const entries = Object.entries(map);
+  if (!entries.length) return '{}';
+  const lines = entries.map(([key, value]) => `${indent}  readonly ${JSON.stringify(key)}: ${value};`);
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+const stringLiterals = (map) => Object.fromEntries(Object.entries(map).map(([k, v]) => [k, JSON.stringify(v)]));
+
+// Tipo del export default de un proxy según el estilo
+const DEFAULT_EXPORT = {
+  link: 'string',
+  style: 'string',
+  constructable: 'CSSStyleSheet | null',
+  ssr: 'string',
+  data: '{ css: string; classes: typeof classes }'
+};
+
+/**
+ * .d.ts de un proxy: `classes` con las instancias como claves y las clases generadas como
+ * literales (`classes.primray` no compila), `ClassName` / `ClassKey` y el export default.
+ */
+export function proxyDeclarations(style, { classes }) {
+  const keys = Object.keys(classes);
+  const lines = [
+    '// Auto-generated by AXCSS',
+    `export declare const classes: ${literalObjectType(stringLiterals(classes))};`,
+    `export type ClassKey = ${keys.length ? 'keyof typeof classes' : 'never'};`,
+    `export type ClassName = ${keys.length ? '(typeof classes)[ClassKey]' : 'never'};`
+  ];
+  if (style !== 'link') lines.push('export declare const css: string;');
+  if (style === 'constructable') lines.push('export declare const sheet: CSSStyleSheet | null;');
+  lines.push(`declare const _default: ${DEFAULT_EXPORT[style]};`, 'export default _default;');
+  return lines.join('\n');
+}
+
+// .d.ts de axcssMain.js: claves de `axcssMain` (y de `styles`) como literales
+export function mainDeclarations(style, proxies, cssPaths) {
+  const lines = [
+    '// Auto-generated by AXCSS',
+    `export declare const axcssMain: ${literalObjectType(stringLiterals(cssPaths))};`,
+    'export type AxcssKey = keyof typeof axcssMain;'
+  ];
+  if (style === 'constructable') {
+    lines.push('export declare const sheets: CSSStyleSheet[];');
+  } else if (style === 'ssr') {
+    lines.push('export declare function getStyles(): string;', 'export declare function renderStyleTags(): string;');
+  } else if (style === 'data') {
+    const styles = Object.fromEntries(proxies.map(p => [p.key, `typeof import(${JSON.stringify(p.path)}).default`]));
+    lines.push(`export declare const styles: ${literalObjectType(styles)};`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,63 @@
+// purge.js
+// Purga de instancias sin usar (`purge` en axcss.config): se leen los ficheros de la app
+// (`purge.content`: HTML, JSX / TSX, Vue...) y una instancia sólo genera CSS si aparece en ellos
+// su clase generada, su nombre (`classes.primary`) o `Component.instance`, o si está en `safelist`.
+// Es deliberadamente conservador: cualquier palabra del fichero cuenta como uso, así que
+// `class="btn primary"`, `classes.primary` o `'primary'` mantienen la instancia. Las clases que se
+// construyen en tiempo de ejecución (`btn-${size}`) tienen que ir en `safelist`.
+
+import { promises as fs } from 'fs';
+import { glob } from 'glob';
+import { hashContent } from './cache.js';
+
+// Lo que puede ser un nombre de clase (o de instancia) en cualquier sintaxis de plantilla
+const CLASS_CANDIDATE = /-?[A-Za-z_][A-Za-z0-9_-]*/g;
+const REGEX_STRING = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Normaliza `purge` de un fichero de config: false | string[] (globs de content) |
+ * { content, safelist }. En safelist, '/^btn-/' (p.ej. en JSON) se convierte en RegExp.
+ */
+export function normalizePurge(purge) {
+  if (purge === false || purge === null) return { content: [], safelist: [] };
+  if (typeof purge === 'string' || Array.isArray(purge)) purge = { content: purge };
+  if (typeof purge !== 'object') return purge; // validateConfig se queja
+  const out = { ...purge };
+  if ('content' in purge) out.content = [].concat(purge.content ?? []);
+  if ('safelist' in purge) {
+    out.safelist = [].concat(purge.safelist ?? []).map(entry => {
+      const m = typeof entry === 'string' ? entry.match(REGEX_STRING) : null;
+      return m ? new RegExp(m[1], m[2]) : entry;
+    });
+  }
+  return out;
+}
+
+/** Palabras de los ficheros de `purge.content` (relativos a root). */
+export async function collectUsedClasses(config) {
+  const files = await glob(config.purge.content, { cwd: config.root, absolute: true, nodir: true, ignore: ['**/node_modules/**'] });
+  const used = new Set();
+  for (const file of files.sort()) {
+    const content = await fs.readFile(file, 'utf8');
+    for (const [word] of content.matchAll(CLASS_CANDIDATE)) used.add(word);
+  }
+  return used;
+}
+
+// Para la clave de la caché: si cambian las clases usadas, cambia el CSS
+export function usedClassesHash(used) {
+  return hashContent([...used].sort().join(' '));
+}
+
+/**
+ * Filtro para compile(): ({ component, instance, className }) => true si la instancia se queda.
+ * purge: { used: Set | string[], safelist: (string | RegExp)[] }
+ */
+export function createPurgeFilter({ used = [], safelist = [] }) {
+  const words = used instanceof Set ? used : new Set(used);
+  const safe = (name) => safelist.some(entry => (entry instanceof RegExp ? name.search(entry) !== -1 : entry === name));
+  return ({ component, instance, className }) => {
+    const names = [className, instance, `${component}.${instance}`];
+    return names.some(name => words.has(name) || safe(name));
+  };
+}
@@ -0,0 +1,163 @@
+// resolve.js
+// Resolución de los @import / @use (la comparten compile() y el LSP):
+//   - relativos / absolutos: './button' -> ./button.axcss, './buttons/' o un directorio -> ./buttons/index.axcss
+//   - alias de axcss.config (`alias: { '~': './src' }`): '~/styles/x' -> <root>/src/styles/x(.axcss)
+//   - paquetes: '@acme/ui/button' se busca en node_modules subiendo desde el fichero que importa.
+//     Dentro del paquete manda `exports` (condiciones 'axcss', 'style', 'default'); sin `exports`,
+//     el campo `axcss` del package.json (sólo para la raíz del paquete) o la ruta tal cual.
+// Es síncrono y mira el disco: si no encuentra nada lanza un ResolveError.
+
+import fs from 'fs';
+import path from 'path';
+
+export const TOKEN_FILE = /\.(json|[cm]?js)$/;
+const AXCSS_FILE = /\.axcss$/;
+const INDEX_FILE = 'index.axcss';
+const EXPORT_CONDITIONS = ['axcss', 'style', 'default'];
+const RELATIVE = /^\.{1,2}(\/|$)/;
+
+// candidate: la ruta que tendría el fichero (para vigilarla: si aparece, el que importa se recompila)
+export class ResolveError extends Error {
+  constructor(message, candidate = null) {
+    super(message);
+    this.name = 'ResolveError';
+    this.candidate = candidate;
+  }
+}
+
+const isFile = (p) => fs.statSync(p, { throwIfNoEntry: false })?.isFile() ?? false;
+const isDirectory = (p) => fs.statSync(p, { throwIfNoEntry: false })?.isDirectory() ?? false;
+const hasExtension = (p) => AXCSS_FILE.test(p) || TOKEN_FILE.test(p);
+
+// Fichero o directorio: `x.axcss` / `x.json` tal cual; si no, `x.axcss` o `x/index.axcss`
+function resolveFile(target, specifier) {
+  const directory = /[\\/]$/.test(specifier);
+  const candidates = directory
+    ? [path.join(target, INDEX_FILE)]
+    : hasExtension(target) ? [target] : [`${target}.axcss`, path.join(target, INDEX_FILE)];
+  const found = candidates.find(isFile);
+  if (found) return found;
+  const tried = candidates.map(c => path.relative(process.cwd(), c) || c).join(', ');
+  throw new ResolveError(`Cannot find "${specifier}" (tried ${tried}).`, candidates[0]);
+}
+
+// ----------------- Paquetes (node_modules) -----------------
+
+// '@acme/ui/button' -> { name: '@acme/ui', subpath: './button' }
+function splitPackage(specifier) {
+  const parts = specifier.split('/');
+  const size = specifier.startsWith('@') ? 2 : 1;
+  const name = parts.slice(0, size).join('/');
+  const rest = parts.slice(size).join('/');
+  return { name, subpath: rest ? `./${rest}` : '.' };
+}
+
+function findPackageDir(name, importer) {
+  let dir = importer ? path.dirname(importer) : process.cwd();
+  while (true) {
+    const candidate = path.join(dir, 'node_modules', name);
+    if (isDirectory(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Un valor de `exports`: string, array (el primero que valga) u objeto de condiciones
+function exportTarget(value, star) {
+  if (typeof value === 'string') return star === null ? value : value.replace(/\*/g, star);
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = exportTarget(item, star);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (value && typeof value === 'object') {
+    for (const [condition, nested] of Object.entries(value)) {
+      if (!EXPORT_CONDITIONS.includes(condition)) continue;
+      const found = exportTarget(nested, star);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// `exports` con subrutas exactas y patrones (`"./*": "./src/*.axcss"`); el patrón más largo gana
+function matchExports(exports, subpath) {
+  const map = typeof exports === 'object' && !Array.isArray(exports) && Object.keys(exports).some(k => k.startsWith('.'))
+    ? exports
+    : { '.': exports };
+  if (subpath in map) return exportTarget(map[subpath], null);
+  const patterns = Object.keys(map).filter(k => k.includes('*')).sort((a, b) => b.length - a.length);
+  for (const key of patterns) {
+    const [before, after] = key.split('*');
+    if (subpath.length >= key.length - 1 && subpath.startsWith(before) && subpath.endsWith(after)) {
+      return exportTarget(map[key], subpath.slice(before.length, subpath.length - after.length));
+    }
+  }
+  return null;
+}
+
+function readPackageJson(dir) {
+  const file = path.join(dir, 'package.json');
+  if (!isFile(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ResolveError(`Invalid package.json in ${path.relative(process.cwd(), dir) || dir}: ${err.message}`);
+  }
+}
+
+function resolvePackage(specifier, importer) {
+  const { name, subpath } = splitPackage(specifier);
+  const dir = findPackageDir(name, importer);
+  if (!dir) throw new ResolveError(`Cannot find package "${name}" in node_modules (imported as "${specifier}").`);
+  const pkg = readPackageJson(dir);
+
+  if (pkg.exports !== undefined) {
+    // `@acme/ui/button` también encuentra "./button.axcss" en exports, y `@acme/ui/button.axcss`, "./button"
+    const keys = subpath === '.' || TOKEN_FILE.test(subpath) ? [subpath]
+      : AXCSS_FILE.test(subpath) ? [subpath, subpath.replace(AXCSS_FILE, '')]
+        : [subpath, `${subpath}.axcss`];
+    for (const key of keys) {
+      const target = matchExports(pkg.exports, key);
+      if (target) return resolveFile(path.join(dir, target), specifier);
+    }
+    throw new ResolveError(`Package "${name}" does not export "${subpath}" (see "exports" in its package.json).`);
+  }
+
+  if (subpath === '.') {
+    return resolveFile(path.join(dir, typeof pkg.axcss === 'string' ? pkg.axcss : INDEX_FILE), specifier);
+  }
+  return resolveFile(path.join(dir, subpath), specifier);
+}
+
+// ----------------- Entrada -----------------
+
+// `~/x` con alias { '~': './src' } -> <root>/src/x; el alias más largo gana
+function applyAlias(specifier, alias, root) {
+  const keys = Object.keys(alias).sort((a, b) => b.length - a.length);
+  const key = keys.find(k => specifier === k || specifier.startsWith(`${k}/`));
+  if (key === undefined) return null;
+  return path.resolve(root, alias[key]) + specifier.slice(key.length);
+}
+
+/**
+ * Ruta absoluta del fichero de un @import / @use. options: { root, alias } (alias relativos a
+ * root, por defecto cwd). Lanza ResolveError si no existe.
+ */
+export function resolveImportPath(specifier, importer, { root = process.cwd(), alias = {} } = {}) {
+  const spec = specifier.trim();
+  if (!spec) throw new ResolveError('Empty import path.');
+  const aliased = applyAlias(spec, alias, root);
+  if (aliased !== null) return resolveFile(aliased, spec);
+  const baseDir = importer ? path.dirname(importer) : process.cwd();
+  if (RELATIVE.test(spec) || path.isAbsolute(spec)) return resolveFile(path.resolve(baseDir, spec), spec);
+  // `@import "button";` siempre ha sido relativo: si el fichero existe al lado, se queda así
+  try {
+    return resolveFile(path.resolve(baseDir, spec), spec);
+  } catch {
+    return resolvePackage(spec, importer);
+  }
+}
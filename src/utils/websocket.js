@@ -0,0 +1,104 @@
+// websocket.js
+// Lo mínimo de WebSocket (RFC 6455) para `axcss serve`: el servidor sólo envía mensajes de texto
+// al navegador; de lo que llega sólo se atienden `close` y `ping`. Sin dependencias.
+
+import { createHash } from 'crypto';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Cabecera + payload de un frame del servidor (sin máscara)
+function frame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Frames completos del cliente en `buffer` (siempre enmascarados): [{ opcode, payload }] + lo que sobra
+function readFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const masked = buffer[offset + 1] & 0x80;
+    const mask = masked ? buffer.subarray(pos, pos + 4) : null;
+    if (masked) pos += 4;
+    if (buffer.length < pos + length) break;
+    const payload = Buffer.from(buffer.subarray(pos, pos + length));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ opcode, payload });
+    offset = pos + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Completa el handshake de una petición `upgrade` de Node (http.Server 'upgrade').
+ * Devuelve { send(text), close() } o null si la petición no es un WebSocket válido.
+ */
+export function acceptWebSocket(req, socket, { onClose } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  const accept = createHash('sha1').update(key + GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (!socket.destroyed) socket.end(frame(0x8, Buffer.alloc(0)));
+    if (onClose) onClose();
+  };
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { frames, rest } = readFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === 0x8) close();
+      else if (opcode === 0x9 && !closed) socket.write(frame(0xa, payload)); // ping -> pong
+    }
+  });
+  socket.on('close', close);
+  socket.on('error', close);
+
+  return {
+    send(text) {
+      if (!closed && !socket.destroyed) socket.write(frame(0x1, Buffer.from(text)));
+    },
+    close
+  };
+}
@@ -0,0 +1,63 @@
+// Build: salidas de cada entrada (incremental, entradas con errores, ficheros compartidos)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildFiles, findEntries } from '../src/commands/build.js';
+import { loadConfig } from '../src/utils/config.js';
+
+test('an entry that starts failing loses its previous outputs until it compiles again', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axcss-build-'));
+  const exitCode = process.exitCode;
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.exitCode = exitCode; // buildFiles marca el proceso como fallido
+  });
+  const source = path.join(dir, 'button.axcss');
+  const out = (file) => path.join(dir, '.axcss', file);
+  const valid = 'component Button($c: red) { color: $c; }\nButton.primary {}\n';
+  fs.writeFileSync(source, valid);
+  fs.writeFileSync(path.join(dir, 'card.axcss'), 'component Card() { padding: 1rem; }\nCard.main {}\n');
+
+  const config = await loadConfig({ cwd: dir, overrides: { manifest: true } });
+  const build = async () => buildFiles(config, await findEntries(config), { silent: true });
+
+  await build();
+  for (const file of ['button.css', 'button.axcss.js', 'button.axcss.d.ts']) assert.ok(fs.existsSync(out(file)), file);
+
+  fs.writeFileSync(source, 'component Button($c: red) { color: darken($c, 10%); }\nButton.primary { $c: 3px; }\n');
+  const failed = await build();
+  assert.deepEqual(failed.failures.map(f => f.file), ['button.axcss']);
+  for (const file of ['button.css', 'button.axcss.js', 'button.axcss.d.ts']) assert.ok(!fs.existsSync(out(file)), file);
+  assert.doesNotMatch(fs.readFileSync(out('axcssMain.js'), 'utf8'), /button/);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(out('manifest.json'), 'utf8'))), ['card.axcss']);
+  assert.ok(fs.existsSync(out('card.css')));
+
+  // sin cambios sigue fallando y sin salidas; arreglado, vuelven
+  await build();
+  assert.ok(!fs.existsSync(out('button.css')));
+  fs.writeFileSync(source, valid);
+  await build();
+  assert.match(fs.readFileSync(out('button.css'), 'utf8'), /\.primary/);
+  assert.match(fs.readFileSync(out('axcssMain.js'), 'utf8'), /button/);
+});
+
+test('a file that is an entry and is @imported by another entry is in both outputs', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axcss-build-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const out = (file) => fs.readFileSync(path.join(dir, '.axcss', file), 'utf8');
+  fs.writeFileSync(path.join(dir, 'button.axcss'), 'component Button() { color: red; }\nButton.primary {}\n.reset { margin: 0; }\n');
+  fs.writeFileSync(path.join(dir, 'app.axcss'), '@import "./button";\nButton.large {}\n');
+  fs.writeFileSync(path.join(dir, 'page.axcss'), '@use "./button";\nButton.small {}\n');
+
+  const config = await loadConfig({ cwd: dir });
+  await buildFiles(config, await findEntries(config), { silent: true });
+
+  // cada salida es independiente: no se deduplica entre entradas
+  assert.match(out('button.css'), /\.reset[\s\S]*\.primary/);
+  assert.match(out('app.css'), /\.reset[\s\S]*\.primary[\s\S]*\.large/);
+  // con @use sólo llegan las definiciones
+  assert.doesNotMatch(out('page.css'), /\.reset|\.primary/);
+  assert.match(out('page.css'), /\.small/);
+});
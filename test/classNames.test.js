@@ -0,0 +1,49 @@
+// Nombres de clase: `[file]` limpio para un selector y sufijos estables cuando dos instancias chocan
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compileFile } from '../src/index.js';
+import { classNameHash, formatClassName } from '../src/utils/config.js';
+
+const root = path.resolve('/project');
+const name = (file, classNames = { template: '[file]_[instance]' }) =>
+  formatClassName(classNames, { componentName: 'Button', instanceName: 'primary', file: path.join(root, file), root });
+
+test('dots in the file name become underscores', () => {
+  assert.equal(name('src/my.button.axcss'), 'my_button_primary');
+});
+
+test('spaces become underscores and a leading digit gets a prefix', () => {
+  assert.equal(name('src/2col grid.axcss'), '_2col_grid_primary');
+});
+
+test('scoped class names from odd file names are valid selectors', () => {
+  const scoped = name('src/2col grid.axcss', { scoped: true });
+  assert.match(scoped, /^_2col_grid_primary_[a-z0-9]{5}$/);
+  assert.match(name('src/my.button.axcss', { scoped: true, case: 'kebab' }), /^my-button-primary-[a-z0-9]{5}$/);
+});
+
+test('colliding class names get a suffix from their own hash, not a counter', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axcss-classnames-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+  write('button.axcss', 'component Button() { color: red; }\nButton.primary {}\n');
+  write('link.axcss', 'component Link() { color: blue; }\nLink.primary {}\n');
+  write('card.axcss', 'component Card() { color: green; }\nCard.primary {}\n');
+  const linkClass = formatClassName({}, { componentName: 'Link', instanceName: 'primary', file: path.join(dir, 'link.axcss'), root: dir });
+  const suffix = classNameHash({ componentName: 'Link', instanceName: 'primary', file: path.join(dir, 'link.axcss'), root: dir });
+  assert.equal(linkClass, 'primary');
+
+  write('app.axcss', '@import "./button";\n@import "./link";\n');
+  const before = await compileFile(path.join(dir, 'app.axcss'), { root: dir });
+  assert.equal(before.classes['Link.primary'], `primary-${suffix}`);
+
+  // otra instancia `primary` importada antes: Link.primary no cambia de clase
+  write('app.axcss', '@import "./button";\n@import "./card";\n@import "./link";\n');
+  const after = await compileFile(path.join(dir, 'app.axcss'), { root: dir });
+  assert.equal(after.classes['Button.primary'], 'primary');
+  assert.equal(after.classes['Link.primary'], `primary-${suffix}`);
+  assert.notEqual(after.classes['Card.primary'], after.classes['Link.primary']);
+});
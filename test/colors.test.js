@@ -0,0 +1,42 @@
+// Colores inválidos en las entradas de las funciones de color: error y sin CSS
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compile } from '../src/index.js';
+
+const errors = (result) => result.diagnostics.filter(d => d.severity === 'error');
+
+test('an invalid color in an instance value suppresses the output', async () => {
+  const result = await compile(`component Tint($color: red, $bg: mix($color, white, 50%)) {
+  background: $bg;
+}
+Tint.a {}
+Tint.b { $color: bluee; }
+`, { filename: 'tint.axcss' });
+  assert.equal(result.css, '');
+  const [error] = errors(result);
+  assert.match(error.message, /mix\(\): 'bluee' is not a valid color/);
+  assert.equal(error.line, 5);
+});
+
+test('an invalid color reaching a color function in a declaration suppresses the output', async () => {
+  const result = await compile(`component Btn($color: red) {
+  color: darken($color, 10%);
+}
+Btn.a {}
+Btn.b { $color: 3px; }
+`, { filename: 'btn.axcss' });
+  assert.equal(result.css, '');
+  const [error] = errors(result);
+  assert.match(error.message, /darken\(\): '3px' is not a valid color\. \(instance Btn\.b\)/);
+  assert.deepEqual([error.line, error.column], [2, 3]);
+});
+
+test('valid color inputs still compile', async () => {
+  const result = await compile(`component Tint($color: red, $bg: mix($color, white, 50%)) {
+  background: $bg;
+}
+Tint.a {}
+`, { filename: 'tint.axcss' });
+  assert.deepEqual(result.diagnostics, []);
+  assert.match(result.css, /\.a \{\s+background: #ff8080;/);
+});
@@ -0,0 +1,32 @@
+// Condiciones `when` que no se pueden evaluar: siempre error, nunca una rama descartada en silencio
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compile } from '../src/index.js';
+
+const errors = (result) => result.diagnostics.filter(d => d.severity === 'error');
+
+test('a parameter default that cannot be compared is an error', async () => {
+  const result = await compile(`component Box($gap: 12px) {
+  when $gap >= 1in { gap: $gap; }
+  color: red;
+}
+Box.one {}
+`, { filename: 'box.axcss' });
+  assert.equal(result.css, '');
+  const [error] = errors(result);
+  assert.match(error.message, /Cannot compare '12px' >= '1in': different units/);
+  assert.equal(error.line, 2);
+});
+
+test('an instance value that cannot be compared is an error at the instance', async () => {
+  const result = await compile(`component Box($gap: 12px) {
+  when $gap >= 8px { gap: $gap; }
+  color: red;
+}
+Box.one {}
+Box.two { $gap: 2in; }
+`, { filename: 'box.axcss' });
+  const [error] = errors(result);
+  assert.match(error.message, /Invalid when condition '\$gap >= 8px'/);
+  assert.equal(error.line, 6);
+});
@@ -0,0 +1,32 @@
+// Errores al evaluar expresiones durante la generación: sin CSS, como los del analizador
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compile } from '../src/index.js';
+
+const errors = (result) => result.diagnostics.filter(d => d.severity === 'error');
+
+test('an instance value that fails to evaluate leaves css empty', async () => {
+  const result = await compile(`component Btn($pad: 4px) {
+  padding: $pad * 2;
+}
+Btn.a {}
+Btn.b { $pad: 2px * 3px; }
+`, { filename: 'btn.axcss' });
+  assert.equal(result.css, '');
+  const [error] = errors(result);
+  assert.match(error.message, /Invalid value '2px \* 3px' for \$pad in instance Btn\.b/);
+  assert.equal(error.line, 5);
+});
+
+test('a declaration that fails to evaluate leaves css empty', async () => {
+  const result = await compile(`component Btn($pad: 4px) {
+  padding: $pad;
+  width: $pad * 1em;
+}
+Btn.a {}
+`, { filename: 'btn.axcss' });
+  assert.equal(result.css, '');
+  const [error] = errors(result);
+  assert.match(error.message, /Invalid expression in 'width: \$pad \* 1em'/);
+  assert.equal(error.line, 3);
+});
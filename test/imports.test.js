@@ -0,0 +1,40 @@
+// @import circulares: se compilan una vez y se avisa con la cadena completa
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compileFile } from '../src/index.js';
+
+function fixture(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axcss-imports-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+test('a circular @import is a warning with the import chain', async (t) => {
+  const dir = fixture(t, {
+    'a.axcss': '@import "./b";\ncomponent A() { color: red; }\nA.x {}\n',
+    'b.axcss': '@import "./c";\nB.y {}\n',
+    'c.axcss': '@import "./a";\ncomponent B() { color: blue; }\n'
+  });
+  const result = await compileFile(path.join(dir, 'a.axcss'), { root: dir });
+  const warnings = result.diagnostics.filter(d => d.severity === 'warning');
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].message, 'Circular @import: a.axcss -> b.axcss -> c.axcss -> a.axcss.');
+  assert.equal(warnings[0].file, path.join(dir, 'c.axcss'));
+  assert.deepEqual([warnings[0].line, warnings[0].column], [1, 9]);
+  assert.match(result.css, /\.y \{\s+color: blue;[\s\S]*\.x \{\s+color: red;/);
+});
+
+test('a file imported twice without a cycle is not a warning', async (t) => {
+  const dir = fixture(t, {
+    'tokens.axcss': '$gap: 4px;\n',
+    'button.axcss': '@import "./tokens";\ncomponent Button() { gap: $gap; }\n',
+    'app.axcss': '@import "./tokens";\n@import "./button";\nButton.main {}\n'
+  });
+  const result = await compileFile(path.join(dir, 'app.axcss'), { root: dir });
+  assert.deepEqual(result.diagnostics, []);
+  assert.match(result.css, /\.main \{\s+gap: 4px;/);
+});
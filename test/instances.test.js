@@ -0,0 +1,52 @@
+// Instancias fuera del nivel superior: error en lugar de una regla vacía sin aviso
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compile } from '../src/index.js';
+
+test('an instance inside an at-rule is an error', async () => {
+  const result = await compile(`component Card($pad: 1rem) { padding: $pad; }
+Card.one {}
+@media (min-width: 600px) {
+  Card.two { $pad: 2rem; }
+  div.note { color: red; }
+}
+`, { filename: 'card.axcss' });
+  const errors = result.diagnostics.filter(d => d.severity === 'error');
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Instance 'Card\.two' must be declared at the top level/);
+  assert.deepEqual([errors[0].line, errors[0].column], [4, 3]);
+  assert.equal(result.css, '');
+});
+
+test('an interpolated instance in a loop inside an at-rule is an error', async () => {
+  const result = await compile(`component C($p: 1px) { padding: $p; }
+@media (min-width: 1px) { @each $s in (a, b) { C.#{$s} { $p: 2px; } } }
+`, { filename: 'c.axcss' });
+  const errors = result.diagnostics.filter(d => d.severity === 'error');
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Instance 'C\.#\{\$s\}' must be declared at the top level/);
+  assert.deepEqual([errors[0].line, errors[0].column], [2, 48]);
+  assert.equal(result.css, '');
+});
+
+test('interpolated instances in a top-level loop still compile', async () => {
+  const result = await compile(`component C($p: 1px) { padding: $p; }
+@each $s in (a, b) { C.#{$s} { $p: 2px; } }
+@media (min-width: 1px) { @each $s in (a, b) { .col-#{$s} { color: red; } } }
+`, { filename: 'c.axcss' });
+  assert.deepEqual(result.diagnostics, []);
+  assert.match(result.css, /\.a \{\s+padding: 2px;[\s\S]*\.b \{\s+padding: 2px;/);
+  assert.match(result.css, /\.col-a/);
+});
+
+test('top-level instances and plain nested rules still compile', async () => {
+  const result = await compile(`component Card($pad: 1rem) { padding: $pad; }
+Card.one {}
+@media (min-width: 600px) {
+  div.note { color: red; }
+}
+`, { filename: 'card.axcss' });
+  assert.deepEqual(result.diagnostics, []);
+  assert.match(result.css, /\.one \{\s+padding: 1rem;/);
+  assert.match(result.css, /div\.note/);
+});
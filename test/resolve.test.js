@@ -0,0 +1,34 @@
+// Resolución de @import en paquetes con `exports`
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveImportPath, ResolveError } from '../src/utils/resolve.js';
+
+function project(t, exports) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axcss-resolve-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const pkg = path.join(dir, 'node_modules', '@acme', 'ui');
+  fs.mkdirSync(path.join(pkg, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(pkg, 'package.json'), JSON.stringify({ name: '@acme/ui', exports }));
+  fs.writeFileSync(path.join(pkg, 'src', 'button.axcss'), 'component Button() { color: red; }\n');
+  return { importer: path.join(dir, 'app.axcss'), button: path.join(pkg, 'src', 'button.axcss') };
+}
+
+test('a specifier with .axcss matches an exports key without the extension', (t) => {
+  const { importer, button } = project(t, { './button': './src/button.axcss' });
+  assert.equal(resolveImportPath('@acme/ui/button.axcss', importer), button);
+  assert.equal(resolveImportPath('@acme/ui/button', importer), button);
+});
+
+test('a specifier without extension matches an exports key with .axcss', (t) => {
+  const { importer, button } = project(t, { './button.axcss': './src/button.axcss' });
+  assert.equal(resolveImportPath('@acme/ui/button', importer), button);
+  assert.equal(resolveImportPath('@acme/ui/button.axcss', importer), button);
+});
+
+test('a subpath the package does not export is an error', (t) => {
+  const { importer } = project(t, { './button': './src/button.axcss' });
+  assert.throws(() => resolveImportPath('@acme/ui/card.axcss', importer), ResolveError);
+});
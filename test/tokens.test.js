@@ -0,0 +1,32 @@
+// Ficheros de tokens .js: un import() por versión del fichero, no uno por compilación
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compileFile } from '../src/index.js';
+
+test('an unchanged .js token file is imported once; a changed one again', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axcss-tokens-'));
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete globalThis.__axcssTokenLoads;
+  });
+  const tokens = path.join(dir, 'tokens.js');
+  const entry = path.join(dir, 'app.axcss');
+  const writeTokens = (color) => fs.writeFileSync(tokens,
+    `globalThis.__axcssTokenLoads = (globalThis.__axcssTokenLoads ?? 0) + 1;\nexport default { brand: '${color}' };\n`);
+  writeTokens('red');
+  fs.writeFileSync(entry, '@import "./tokens.js";\ncomponent Box($c: $brand) { color: $c; }\nBox.main {}\n');
+
+  for (let i = 0; i < 3; i++) {
+    const result = await compileFile(entry, { root: dir });
+    assert.match(result.css, /color: red;/);
+  }
+  assert.equal(globalThis.__axcssTokenLoads, 1);
+
+  writeTokens('blue');
+  const result = await compileFile(entry, { root: dir });
+  assert.match(result.css, /color: blue;/);
+  assert.equal(globalThis.__axcssTokenLoads, 2);
+});
@@ -0,0 +1,45 @@
+// Loader de webpack sin webpack: un contexto mínimo con lo que usa el loader
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axcssLoader from '../src/integrations/webpack.js';
+
+function runLoader(file, query = {}) {
+  return new Promise((resolve, reject) => {
+    const context = {
+      resourcePath: file,
+      rootContext: path.dirname(file),
+      mode: 'development',
+      getOptions: () => query,
+      addDependency: () => {},
+      emitWarning: () => {},
+      async: () => (err, output) => (err ? reject(err) : resolve(output))
+    };
+    axcssLoader.call(context, fs.readFileSync(file, 'utf8'));
+  });
+}
+
+test('editing an imported file recompiles both loader passes', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axcss-webpack-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const entry = path.join(dir, 'app.axcss');
+  const imported = path.join(dir, 'button.axcss');
+  fs.writeFileSync(imported, 'component Button($color: red) { color: $color; }\nButton.primary {}\n');
+  fs.writeFileSync(entry, '@import "./button";\nButton.large { $color: blue; }\n');
+
+  assert.match(await runLoader(entry), /"Button\.primary": "primary"/);
+  assert.match(await runLoader(entry, { css: '' }), /\.primary \{\s+color: red;/);
+
+  fs.writeFileSync(imported, 'component Button($color: green) { color: $color; }\nButton.main {}\n');
+
+  // sólo la pasada del CSS (p.ej. webpack la repite sin el módulo JS): tampoco vale el resultado viejo
+  assert.match(await runLoader(entry, { css: '' }), /\.main \{\s+color: green;/);
+  const module = await runLoader(entry);
+  assert.match(module, /"Button\.main": "main"/);
+  assert.doesNotMatch(module, /Button\.primary/);
+  const css = await runLoader(entry, { css: '' });
+  assert.match(css, /\.main \{\s+color: green;/);
+  assert.doesNotMatch(css, /\.primary/);
+});